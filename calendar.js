@@ -0,0 +1,194 @@
+/**
+ * Team calendar for Sprint Board: turns each member's weekly hours, public
+ * holidays and time off (all in team.conf) into available hours per sprint.
+ *
+ * Shared by the server (reports), the board (capacity bars, Team modal,
+ * Re-plan) and cli.js, so all of them count the same days.
+ *
+ * team.conf example:
+ *   "weeklyHours": 40,
+ *   "holidays": [ { "date": "2026-04-03", "name": "Good Friday" } ],
+ *   "members": {
+ *     "Ann": { "weeklyHours": 32,
+ *              "timeOff": [ { "start": "2026-03-02", "end": "2026-03-06", "note": "Ski trip" } ] }
+ *   },
+ *   "sprints": { "3": { "Ann": 20 } }
+ *
+ * A member gets weeklyHours / 5 for every weekday of the sprint that is
+ * neither a holiday nor one of their days off. Hours under "sprints" are
+ * typed in by hand and win over the calendar. Members without weekly hours
+ * (their own or the team's) get "defaultHours" per sprint, as before.
+ */
+
+(function (root) {
+  'use strict';
+
+  var WORKDAYS_PER_WEEK = 5;
+
+  // --- Dates (YYYY-MM-DD, local time) ---------------------------------------------
+
+  function pad(n) {
+    return n < 10 ? '0' + n : String(n);
+  }
+
+  function isoDate(date) {
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+  }
+
+  function isWeekday(date) {
+    return date.getDay() !== 0 && date.getDay() !== 6;
+  }
+
+  // --- Sprint dates ---------------------------------------------------------------
+
+  /**
+   * First and last day of a sprint ({ start, end } Dates). `board` is the
+   * board state: { sprints: { n: { start, end } }, sprintStart, sprintLength }.
+   * Sprints past the last known one carry on at the configured length.
+   */
+  function sprintRange(board, sprint) {
+    var known = board.sprints && board.sprints[sprint];
+    if (known) return { start: new Date(known.start + 'T00:00:00'), end: new Date(known.end + 'T00:00:00') };
+    var numbers = Object.keys(board.sprints || {}).map(Number);
+    var last = numbers.length ? Math.max.apply(null, numbers) : 0;
+    var length = board.sprintLength || 14;
+    var start = new Date((last ? board.sprints[last].end : board.sprintStart) + 'T00:00:00');
+    start.setDate(start.getDate() + (last ? 1 : 0) + (sprint - last - 1) * length);
+    var end = new Date(start);
+    end.setDate(end.getDate() + length - 1);
+    return { start: start, end: end };
+  }
+
+  // --- Calendar -------------------------------------------------------------------
+
+  function memberEntry(team, member) {
+    return (team.members && team.members[member]) || {};
+  }
+
+  /** Weekly hours of a member (or the team's), or null when the calendar is not used for them. */
+  function weeklyHoursOf(team, member) {
+    team = team || {};
+    var own = memberEntry(team, member).weeklyHours;
+    if (own != null && own >= 0) return Number(own);
+    return team.weeklyHours != null && team.weeklyHours >= 0 ? Number(team.weeklyHours) : null;
+  }
+
+  /** Name of the holiday on `iso`, or null. */
+  function holidayOn(team, iso) {
+    var holidays = Array.isArray(team.holidays) ? team.holidays : [];
+    for (var i = 0; i < holidays.length; i++) {
+      if (holidays[i] && holidays[i].date === iso) return holidays[i].name || 'Holiday';
+    }
+    return null;
+  }
+
+  function isTimeOff(team, member, iso) {
+    var timeOff = memberEntry(team, member).timeOff;
+    if (!Array.isArray(timeOff)) return false;
+    return timeOff.some(function (t) {
+      return t && t.start && iso >= t.start && iso <= (t.end || t.start);
+    });
+  }
+
+  /**
+   * Weekdays in `range` ({ start, end } Dates, both included) and how many of
+   * them are holidays or the member's time off.
+   */
+  function countDays(team, member, range) {
+    var days = { weekdays: 0, holidays: 0, timeOff: 0, working: 0 };
+    var date = new Date(range.start.getFullYear(), range.start.getMonth(), range.start.getDate());
+    while (date <= range.end) {
+      if (isWeekday(date)) {
+        var iso = isoDate(date);
+        days.weekdays++;
+        if (holidayOn(team, iso)) days.holidays++;
+        else if (isTimeOff(team, member, iso)) days.timeOff++;
+        else days.working++;
+      }
+      date.setDate(date.getDate() + 1);
+    }
+    return days;
+  }
+
+  /** Hours the calendar gives a member in `range`, or null without weekly hours. */
+  function calendarHours(team, member, range) {
+    team = team || {};
+    var weekly = weeklyHoursOf(team, member);
+    if (weekly === null) return null;
+    var hours = countDays(team, member, range).working * weekly / WORKDAYS_PER_WEEK;
+    return Math.round(hours * 10) / 10;
+  }
+
+  /** Hours typed in by hand for a member in a sprint, or null. */
+  function overrideFor(team, sprint, member) {
+    var sprintData = team && team.sprints && team.sprints[String(sprint)];
+    return sprintData && sprintData[member] != null ? sprintData[member] : null;
+  }
+
+  /** Available hours: the override, else the calendar, else "defaultHours". */
+  function capacity(team, sprint, member, range) {
+    team = team || {};
+    var override = overrideFor(team, sprint, member);
+    if (override !== null) return override;
+    var hours = calendarHours(team, member, range);
+    return hours !== null ? hours : team.defaultHours || 60;
+  }
+
+  /**
+   * Capacity of `members` in sprints 1..count, in the team.conf shape that
+   * Replan.capacityFor() reads. `rangeOf(sprint)` gives the sprint's dates.
+   */
+  function resolve(team, members, count, rangeOf) {
+    team = team || {};
+    var sprints = {};
+    for (var sprint = 1; sprint <= count; sprint++) {
+      var range = rangeOf(sprint);
+      sprints[sprint] = {};
+      members.forEach(function (member) {
+        sprints[sprint][member] = capacity(team, sprint, member, range);
+      });
+    }
+    return { defaultHours: team.defaultHours || 60, sprints: sprints };
+  }
+
+  /**
+   * resolve() for everyone with issues on the board, from sprint 1 to
+   * `sprintsAhead` past the last sprint in use: what Re-plan looks at.
+   */
+  function resolveAhead(team, board, sprintsAhead) {
+    var members = [];
+    var lastSprint = 1;
+    Object.keys(board.sprints || {}).forEach(function (n) { lastSprint = Math.max(lastSprint, Number(n)); });
+    board.issues.forEach(function (issue) {
+      if (issue.assignee && members.indexOf(issue.assignee) === -1) members.push(issue.assignee);
+      lastSprint = Math.max(lastSprint, issue.sprint || 1);
+    });
+    return resolve(team, members, lastSprint + sprintsAhead, function (sprint) {
+      return sprintRange(board, sprint);
+    });
+  }
+
+  // --- Export -------------------------------------------------------------------
+
+  var api = {
+    WORKDAYS_PER_WEEK: WORKDAYS_PER_WEEK,
+    isoDate: isoDate,
+    sprintRange: sprintRange,
+    weeklyHoursOf: weeklyHoursOf,
+    holidayOn: holidayOn,
+    isTimeOff: isTimeOff,
+    countDays: countDays,
+    calendarHours: calendarHours,
+    overrideFor: overrideFor,
+    capacity: capacity,
+    resolve: resolve,
+    resolveAhead: resolveAhead
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Calendar = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * tinyjira: the Sprint Board from a terminal.
+ *
+ * Works on the tasks.csv next to this file, or on a running server with
+ * --server URL (or TINYJIRA_SERVER). Both go through the board's HTTP API, so
+ * validation, the workflow, history and undo behave exactly as on the board.
+ * Without a server the API is served in-process on a private socket.
+ *
+ * Every command prints plain text, or JSON with --json. Run "tinyjira help".
+ */
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Replan = require('./replan.js');
+const Fields = require('./fields.js');
+const Calendar = require('./calendar.js');
+
+const USAGE = `Usage: tinyjira <command> [arguments] [options]
+
+Commands:
+  list [JQL]            List issues, e.g. tinyjira list 'assignee = Ann AND status != done'
+                          --status, --column, --priority, --assignee, --sprint, --search TEXT, --limit N
+  show KEY              Show one issue
+  create TITLE          Create an issue (takes the edit options below)
+  edit KEY              Change an issue:
+                          --title, --description, --type, --priority, --assignee, --estimate HOURS,
+                          --remaining HOURS, --sprint N, --status, --column, --parent KEY,
+                          --depends-on KEY,KEY ("" clears a value)
+  move KEY [COLUMN]     Move an issue to a column (id, name or status) and/or --sprint N
+  capacity [SPRINT]     Planned and available hours per member (default: the active sprint)
+  replan [--apply]      Show what Re-plan would move; --apply saves it
+  help                  Show this help
+
+Options:
+  --server URL          Use a running server instead of the files (or TINYJIRA_SERVER)
+  --user LOGIN          Log in to that server as LOGIN (or TINYJIRA_USER); the password is read
+                        from TINYJIRA_PASSWORD
+  --project KEY         Work on another project of projects.conf (or TINYJIRA_PROJECT)
+  --json                Print JSON instead of text`;
+
+const GLOBAL_OPTIONS = ['server', 'user', 'project', 'json'];
+const BOOLEAN_OPTIONS = ['json', 'apply', 'help'];
+const EDIT_OPTIONS = ['title', 'description', 'type', 'priority', 'assignee', 'estimate', 'remaining',
+  'sprint', 'status', 'column', 'parent', 'depends-on'];
+const PAGE_SIZE = 500; // the most GET /api/issues returns at once
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode || 1;
+  }
+}
+
+// --- Arguments ---
+
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)(?:=(.*))?$/s.exec(argv[i]);
+    if (argv[i] === '--') {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!m) {
+      args.push(argv[i]);
+    } else if (m[2] !== undefined) {
+      options[m[1]] = m[2];
+    } else if (BOOLEAN_OPTIONS.includes(m[1])) {
+      options[m[1]] = true;
+    } else if (i + 1 < argv.length) {
+      options[m[1]] = argv[++i];
+    } else {
+      throw new CliError('--' + m[1] + ' needs a value', 2);
+    }
+  }
+  return { command: args.shift() || 'help', args: args, options: options };
+}
+
+function hoursOption(options, name) {
+  if (options[name] === '') return null;
+  const hours = Number(options[name]);
+  if (!isFinite(hours) || hours < 0) throw new CliError('--' + name + ' must be a number of hours', 2);
+  return hours;
+}
+
+function sprintOption(value) {
+  const sprint = Number(value);
+  if (!Number.isInteger(sprint) || sprint < 1) throw new CliError('--sprint must be a sprint number', 2);
+  return sprint;
+}
+
+// Issue changes for POST/PATCH /api/issues from the edit options
+function issueChanges(options) {
+  const changes = {};
+  ['title', 'description', 'type', 'priority', 'assignee', 'status', 'column'].forEach(name => {
+    if (options[name] !== undefined) changes[name] = options[name];
+  });
+  if (options.estimate !== undefined) changes.estimateHours = hoursOption(options, 'estimate') || 0;
+  if (options.remaining !== undefined) changes.remainingHours = hoursOption(options, 'remaining');
+  if (options.sprint !== undefined) changes.sprint = sprintOption(options.sprint);
+  if (options.parent !== undefined) changes.parentId = options.parent || null;
+  if (options['depends-on'] !== undefined) {
+    changes.dependsOn = options['depends-on'].split(',').map(ref => ref.trim()).filter(Boolean);
+  }
+  return changes;
+}
+
+// --- API client ---
+
+// Serves the API of this checkout on a socket only this user can reach
+function startLocalServer() {
+  const { server, allowLocalAccess } = require('./server.js');
+  allowLocalAccess();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinyjira-'));
+  const socketPath = process.platform === 'win32'
+    ? '\\\\.\\pipe\\tinyjira-' + crypto.randomBytes(8).toString('hex')
+    : path.join(dir, 'api.sock');
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => resolve({
+      socketPath: socketPath,
+      close() {
+        server.closeAllConnections();
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      },
+    }));
+  });
+}
+
+function send(target, method, pathname, body, headers) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const options = { method: method, agent: false, headers: { 'Accept': 'application/json', ...headers } };
+    if (payload !== null) {
+      options.headers['Content-Type'] = 'application/json';
+      options.headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    let transport = http;
+    if (target.socketPath) {
+      options.socketPath = target.socketPath;
+      options.path = pathname;
+    } else {
+      transport = target.url.protocol === 'https:' ? https : http;
+      options.hostname = target.url.hostname;
+      options.port = target.url.port;
+      options.path = target.url.pathname.replace(/\/$/, '') + pathname;
+    }
+    const req = transport.request(options, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let data;
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch (e) {
+          data = { error: text.trim() || res.statusMessage };
+        }
+        resolve({ status: res.statusCode, headers: res.headers, data: data });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * Opens the API: of a running server when one is given, else of the files
+ * next to this script. Returns { request(method, path, body, headers), close() };
+ * paths are relative to /api (or /api/projects/KEY with --project).
+ */
+async function connect(options) {
+  const server = options.server || process.env.TINYJIRA_SERVER;
+  const project = options.project || process.env.TINYJIRA_PROJECT;
+  let target;
+  let local = null;
+  if (server) {
+    let url;
+    try {
+      url = new URL(/^https?:\/\//.test(server) ? server : 'http://' + server);
+    } catch (e) {
+      throw new CliError('Not a server URL: ' + server, 2);
+    }
+    target = { url: url };
+  } else {
+    local = await startLocalServer();
+    target = local;
+  }
+
+  const headers = {};
+  const base = project ? '/api/projects/' + encodeURIComponent(project) : '/api';
+
+  async function request(method, pathname, body, extraHeaders) {
+    let res;
+    try {
+      res = await send(target, method, base + pathname, body, { ...headers, ...extraHeaders });
+    } catch (e) {
+      throw new CliError('Cannot reach ' + (server || 'the local API') + ': ' + e.message);
+    }
+    if (res.status === 401) {
+      throw new CliError((res.data && res.data.error) + ': set TINYJIRA_USER and TINYJIRA_PASSWORD (or --user)');
+    }
+    if (res.status >= 400) throw new CliError((res.data && res.data.error) || 'HTTP ' + res.status);
+    return res;
+  }
+
+  const login = server && (options.user || process.env.TINYJIRA_USER);
+  if (login) {
+    const res = await send(target, 'POST', '/api/login',
+      { login: login, password: process.env.TINYJIRA_PASSWORD || '' });
+    if (res.status !== 200) throw new CliError((res.data && res.data.error) || 'Cannot log in as ' + login);
+    headers['Cookie'] = String(res.headers['set-cookie'] || '').split(';')[0];
+  }
+
+  return {
+    request: request,
+    async close() {
+      if (headers['Cookie']) await send(target, 'POST', '/api/logout', undefined, headers).catch(() => {});
+      if (local) local.close();
+    },
+  };
+}
+
+async function get(api, pathname) {
+  return (await api.request('GET', pathname)).data;
+}
+
+// --- Output ---
+
+function print(options, data, text) {
+  console.log(options.json ? JSON.stringify(data, null, 2) : text());
+}
+
+// Columns padded to the widest value; the last one is left as it is
+function table(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(row => String(row[c]).length)));
+  return rows.map(row => row.map((value, c) => (c === row.length - 1 ? String(value) : String(value).padEnd(widths[c])))
+    .join('  ').trimEnd()).join('\n');
+}
+
+function formatHours(hours) {
+  return hours ? Math.round(hours * 10) / 10 + 'h' : '-';
+}
+
+function columnName(fields, issue) {
+  const column = Fields.findColumn(fields, issue.column);
+  return column ? column.name : issue.status;
+}
+
+function issueTable(fields, issues) {
+  if (issues.length === 0) return 'No issues found.';
+  return table([['KEY', 'COLUMN', 'PRIORITY', 'SPRINT', 'ESTIMATE', 'ASSIGNEE', 'TITLE']].concat(issues.map(issue => [
+    issue.key, columnName(fields, issue), issue.priority, issue.sprint || 1, formatHours(issue.estimateHours),
+    issue.assignee || '-', issue.title,
+  ])));
+}
+
+function issueDetails(fields, issue, issues) {
+  const keyOf = id => {
+    const other = issues.find(i => i.id === id);
+    return other ? other.key : String(id);
+  };
+  const dependsOn = issue.dependsOn.map(keyOf).concat(issue.unresolvedDeps || []);
+  const rows = [
+    ['Type:', issue.type || '-'],
+    ['Column:', columnName(fields, issue) + ' (' + issue.status + ')'],
+    ['Priority:', Fields.PRIORITY_LABELS[issue.priority] || issue.priority],
+    ['Assignee:', issue.assignee || '-'],
+    ['Sprint:', issue.sprint || 1],
+    ['Estimate:', formatHours(issue.estimateHours) + ', ' + formatHours(issue.spentHours) + ' spent' +
+      (issue.status !== 'done' ? ', ' + formatHours(Replan.plannedHours(issue)) + ' to go' : '')],
+    ['Depends on:', dependsOn.join(', ') || '-'],
+  ];
+  if (issue.parentId) rows.push(['Parent:', keyOf(issue.parentId)]);
+  const lines = [issue.key + '  ' + issue.title, '', table(rows)];
+  if (issue.description) lines.push('', issue.description);
+  if (issue.comments && issue.comments.length > 0) lines.push('', issue.comments.length + ' comment(s)');
+  return lines.join('\n');
+}
+
+// --- Sprints and capacity (as on the board) ---
+
+function assigneesOf(issues) {
+  return Array.from(new Set(issues.map(i => i.assignee).filter(Boolean))).sort();
+}
+
+// --- Commands ---
+
+async function listIssues(api, args, options) {
+  const query = new URLSearchParams();
+  if (args.length > 0) query.set('jql', args.join(' '));
+  ['status', 'column', 'priority', 'assignee', 'sprint'].forEach(name => {
+    if (options[name] !== undefined) query.set(name, options[name]);
+  });
+  if (options.search !== undefined) query.set('q', options.search);
+  const limit = options.limit !== undefined ? parseInt(options.limit, 10) : Infinity;
+  if (!(limit > 0)) throw new CliError('--limit must be a positive number', 2);
+
+  const issues = [];
+  let total = Infinity;
+  while (issues.length < Math.min(total, limit)) {
+    query.set('offset', issues.length);
+    query.set('limit', Math.min(PAGE_SIZE, limit - issues.length));
+    const page = await get(api, '/issues?' + query);
+    total = page.total;
+    if (page.issues.length === 0) break;
+    issues.push(...page.issues);
+  }
+  const fields = Fields.configure(await get(api, '/config'));
+  print(options, issues, () => issueTable(fields, issues));
+}
+
+async function showIssue(api, args, options) {
+  if (args.length !== 1) throw new CliError('Usage: tinyjira show KEY', 2);
+  const state = await get(api, '/tasks');
+  const issue = state.issues.find(i => i.key === args[0] || String(i.id) === args[0]);
+  if (!issue) throw new CliError('Issue not found: ' + args[0]);
+  print(options, issue, () => issueDetails(state.fields, issue, state.issues));
+}
+
+async function createIssue(api, args, options) {
+  if (args.length === 0) throw new CliError('Usage: tinyjira create TITLE [options]', 2);
+  const changes = issueChanges(options);
+  changes.title = args.join(' ');
+  const issue = (await api.request('POST', '/issues', changes)).data;
+  print(options, issue, () => 'Created ' + issue.key + '  ' + issue.title);
+}
+
+async function editIssue(api, args, options) {
+  if (args.length !== 1) throw new CliError('Usage: tinyjira edit KEY [options]', 2);
+  const changes = issueChanges(options);
+  if (Object.keys(changes).length === 0) throw new CliError('Nothing to change; see "tinyjira help"', 2);
+  const issue = (await api.request('PATCH', '/issues/' + encodeURIComponent(args[0]), changes)).data;
+  print(options, issue, () => 'Updated ' + issue.key + '  ' + issue.title);
+}
+
+async function moveIssue(api, args, options) {
+  if (args.length < 1 || args.length > 2 || (args.length === 1 && options.sprint === undefined)) {
+    throw new CliError('Usage: tinyjira move KEY [COLUMN] [--sprint N]', 2);
+  }
+  const fields = Fields.configure(await get(api, '/config'));
+  const changes = {};
+  if (args.length === 2) {
+    const wanted = args[1].toLowerCase();
+    const column = fields.workflow.columns.find(c => c.id.toLowerCase() === wanted || c.name.toLowerCase() === wanted);
+    if (column) {
+      changes.column = column.id;
+    } else if (Fields.CATEGORIES.includes(wanted)) {
+      changes.status = wanted;
+    } else {
+      throw new CliError('No column ' + args[1] + '; the board has ' +
+        fields.workflow.columns.map(c => c.name + ' (' + c.id + ')').join(', '));
+    }
+  }
+  if (options.sprint !== undefined) changes.sprint = sprintOption(options.sprint);
+  const issue = (await api.request('PATCH', '/issues/' + encodeURIComponent(args[0]), changes)).data;
+  print(options, issue, () => 'Moved ' + issue.key + ' to ' + columnName(fields, issue) + ', sprint ' + issue.sprint);
+}
+
+async function showCapacity(api, args, options) {
+  const state = await get(api, '/tasks');
+  const team = await get(api, '/team');
+  const sprint = args.length > 0 ? sprintOption(args[0]) : state.activeSprint;
+  const range = Calendar.sprintRange(state, sprint);
+  const members = assigneesOf(state.issues).map(member => {
+    const planned = state.issues.filter(i => (i.sprint || 1) === sprint && i.assignee === member)
+      .reduce((sum, i) => sum + Replan.plannedHours(i), 0);
+    return { member: member, planned: planned, available: Calendar.capacity(team, sprint, member, range) };
+  });
+  const info = state.sprints[sprint] || { name: 'Sprint ' + sprint };
+  const report = {
+    sprint: sprint,
+    name: info.name,
+    start: Calendar.isoDate(range.start),
+    end: Calendar.isoDate(range.end),
+    planned: members.reduce((sum, m) => sum + m.planned, 0),
+    available: members.reduce((sum, m) => sum + m.available, 0),
+    members: members,
+  };
+  print(options, report, () => {
+    const rows = members.map(m => [m.member, formatHours(m.planned), formatHours(m.available),
+      m.planned > m.available ? 'over by ' + formatHours(m.planned - m.available) : '']);
+    rows.push(['Team', formatHours(report.planned), formatHours(report.available), '']);
+    return report.name + ' (' + report.start + ' – ' + report.end + ')\n\n' +
+      table([['MEMBER', 'PLANNED', 'AVAILABLE', '']].concat(rows));
+  });
+}
+
+async function runReplan(api, args, options) {
+  const res = await api.request('GET', '/tasks');
+  const state = res.data;
+  const capacity = Calendar.resolveAhead(await get(api, '/team'), state, Replan.MAX_SPRINTS);
+  const moves = Replan.preview(state.issues, capacity);
+  let revision = state.revision;
+  if (options.apply && moves.length > 0) {
+    state.issues = Replan.replan(state.issues, capacity);
+    // Saved as one change, so one Undo on the board takes it back
+    revision = (await api.request('PUT', '/tasks', state, { 'If-Match': res.headers['etag'] })).data.revision;
+  }
+  print(options, { moves: moves, applied: Boolean(options.apply && moves.length > 0), revision: revision }, () => {
+    if (moves.length === 0) return 'The current plan already fits the team\'s capacity. Nothing would move.';
+    const rows = moves.map(m => [m.key, 'Sprint ' + m.from + ' → ' + m.to, m.title, m.reason || '']);
+    return (options.apply ? 'Moved ' : 'Re-plan would move ') + moves.length + ' issue(s):\n\n' +
+      table([['KEY', 'SPRINT', 'TITLE', 'REASON']].concat(rows)) +
+      (options.apply ? '' : '\n\nRun "tinyjira replan --apply" to save this plan.');
+  });
+}
+
+const COMMANDS = {
+  list: { run: listIssues, options: ['status', 'column', 'priority', 'assignee', 'sprint', 'search', 'limit'] },
+  show: { run: showIssue, options: [] },
+  create: { run: createIssue, options: EDIT_OPTIONS.filter(name => name !== 'title') },
+  edit: { run: editIssue, options: EDIT_OPTIONS },
+  move: { run: moveIssue, options: ['sprint'] },
+  capacity: { run: showCapacity, options: [] },
+  replan: { run: runReplan, options: ['apply'] },
+};
+
+async function main(argv) {
+  const { command, args, options } = parseArgs(argv);
+  if (command === 'help' || options.help) {
+    console.log(USAGE);
+    return;
+  }
+  const spec = COMMANDS[command];
+  if (!spec) throw new CliError('Unknown command: ' + command + ' (see "tinyjira help")', 2);
+  const unknown = Object.keys(options).find(name => !GLOBAL_OPTIONS.includes(name) && !spec.options.includes(name));
+  if (unknown) throw new CliError('Unknown option for ' + command + ': --' + unknown, 2);
+
+  const api = await connect(options);
+  try {
+    await spec.run(api, args, options);
+  } finally {
+    await api.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(e => {
+  console.error('tinyjira: ' + (e instanceof CliError ? e.message : e.stack));
+  process.exitCode = e.exitCode || 1;
+});
@@ -0,0 +1,281 @@
+/**
+ * Field mapping for Sprint Board: how Jira CSV values for priority, status,
+ * estimates and dates map to the values the board works with, and back.
+ *
+ * Shared by the server and the board so both read the CSV the same way.
+ * Both sides call configure() with the "priorities" and "workflow" settings
+ * from server.conf and pass the result to the other functions.
+ *
+ * Writing back keeps the original CSV text whenever it still means the same
+ * thing: "Blocker" stays "Blocker" and "In Review" stays "In Review" until a
+ * user actually picks another priority or column.
+ *
+ * server.conf example:
+ *   "priorities": { "highest": ["Blocker"], "high": ["Critical"], "medium": ["Major"] },
+ *   "workflow":   { "columns": [...], "transitions": {...} }   (see README)
+ *
+ * Each priority lists the CSV values that mean it; the first one is written
+ * when a user sets that priority. The default names ("High", "Critical", ...)
+ * keep meaning their level unless server.conf lists them under another one.
+ */
+
+(function (root) {
+  'use strict';
+
+  // --- Priority -----------------------------------------------------------------
+
+  /** Priority levels, most urgent first. */
+  var PRIORITIES = ['highest', 'high', 'medium', 'low', 'lowest'];
+
+  var DEFAULT_PRIORITY_VALUES = {
+    highest: ['Highest', 'Blocker'],
+    high:    ['High', 'Critical'],
+    medium:  ['Medium', 'Major', 'Normal'],
+    low:     ['Low', 'Minor'],
+    lowest:  ['Lowest', 'Trivial']
+  };
+
+  var PRIORITY_LABELS = {
+    highest: 'Highest', high: 'High', medium: 'Medium', low: 'Low', lowest: 'Lowest'
+  };
+
+  function findValue(values, text) {
+    var key = String(text || '').toLowerCase().trim();
+    for (var i = 0; i < values.length; i++) {
+      if (values[i].toLowerCase() === key) return true;
+    }
+    return false;
+  }
+
+  /** Priority level for a CSV value; unknown values count as medium. */
+  function priorityFromCSV(fields, text) {
+    for (var i = 0; i < PRIORITIES.length; i++) {
+      if (findValue(fields.priorities[PRIORITIES[i]], text)) return PRIORITIES[i];
+    }
+    return 'medium';
+  }
+
+  /** CSV value to write for `priority`, keeping `current` if it already means that. */
+  function priorityToCSV(fields, priority, current) {
+    if (current && priorityFromCSV(fields, current) === priority) return current;
+    var values = fields.priorities[priority] || fields.priorities.medium;
+    return values[0];
+  }
+
+  // --- Status -------------------------------------------------------------------
+
+  /** Status categories: what reports and re-plan look at. */
+  var CATEGORIES = ['todo', 'inprogress', 'done'];
+
+  // Category of well-known Jira statuses that no workflow column lists
+  var STATUS_CATEGORY = {
+    'open': 'todo',
+    'to do': 'todo',
+    'backlog': 'todo',
+    'in refinement': 'todo',
+    'new': 'todo',
+    'reopened': 'todo',
+    'in progress': 'inprogress',
+    'in development': 'inprogress',
+    'in review': 'inprogress',
+    'done': 'done',
+    'closed': 'done',
+    'resolved': 'done'
+  };
+
+  function statusCategory(text) {
+    return STATUS_CATEGORY[String(text || '').toLowerCase().trim()] || 'todo';
+  }
+
+  // Used when server.conf has no "workflow". Each column lists the CSV statuses
+  // it shows; the first one is written when an issue is moved into the column.
+  var DEFAULT_WORKFLOW = {
+    columns: [
+      { id: 'todo', name: 'To Do', category: 'todo', wipLimit: null,
+        statuses: ['Open', 'To Do', 'Backlog', 'In Refinement', 'New', 'Reopened'] },
+      { id: 'inprogress', name: 'In Progress', category: 'inprogress', wipLimit: null,
+        statuses: ['In Progress', 'In Development', 'In Review'] },
+      { id: 'done', name: 'Done', category: 'done', wipLimit: null,
+        statuses: ['Done', 'Closed', 'Resolved'] }
+    ],
+    transitions: {}
+  };
+
+  function configureWorkflow(config) {
+    if (!config || !Array.isArray(config.columns)) return DEFAULT_WORKFLOW;
+    var columns = config.columns.filter(function (c) { return c && c.id; }).map(function (c) {
+      var statuses = (Array.isArray(c.statuses) ? c.statuses : []).map(String).filter(Boolean);
+      var name = String(c.name || c.id);
+      return {
+        id: String(c.id),
+        name: name,
+        category: CATEGORIES.indexOf(c.category) !== -1 ? c.category : statusCategory(statuses[0] || name),
+        wipLimit: c.wipLimit > 0 ? Number(c.wipLimit) : null,
+        statuses: statuses.length > 0 ? statuses : [name]
+      };
+    });
+    if (columns.length === 0) return DEFAULT_WORKFLOW;
+
+    // transitions: { fromColumnId: [toColumnId, ...] }; columns not listed may move anywhere
+    var ids = columns.map(function (c) { return c.id; });
+    var transitions = {};
+    Object.keys(config.transitions || {}).forEach(function (from) {
+      var to = config.transitions[from];
+      if (ids.indexOf(from) === -1 || !Array.isArray(to)) return;
+      transitions[from] = to.map(String).filter(function (id) { return ids.indexOf(id) !== -1; });
+    });
+    return { columns: columns, transitions: transitions };
+  }
+
+  function findColumn(fields, id) {
+    var columns = fields.workflow.columns;
+    for (var i = 0; i < columns.length; i++) {
+      if (columns[i].id === id) return columns[i];
+    }
+    return null;
+  }
+
+  function firstColumnOf(fields, category) {
+    var columns = fields.workflow.columns;
+    for (var i = 0; i < columns.length; i++) {
+      if (columns[i].category === category) return columns[i];
+    }
+    return null;
+  }
+
+  /** Workflow column for a CSV status; unlisted statuses go to the first column of their category. */
+  function columnForStatus(fields, text) {
+    var columns = fields.workflow.columns;
+    for (var i = 0; i < columns.length; i++) {
+      if (findValue(columns[i].statuses, text)) return columns[i];
+    }
+    return firstColumnOf(fields, statusCategory(text)) || columns[0];
+  }
+
+  /** The issue's own column, unless its status category was changed to one that column doesn't have. */
+  function columnForIssue(fields, issue, text) {
+    var candidates = [findColumn(fields, issue.column), columnForStatus(fields, text)];
+    for (var i = 0; i < candidates.length; i++) {
+      var c = candidates[i];
+      if (c && (!issue.status || c.category === issue.status)) return c;
+    }
+    return firstColumnOf(fields, issue.status) || fields.workflow.columns[0];
+  }
+
+  /** CSV status to write for the issue, keeping `current` while the issue stays in its column. */
+  function statusToCSV(fields, issue, current) {
+    var column = columnForIssue(fields, issue, current);
+    return current && columnForStatus(fields, current) === column ? current : column.statuses[0];
+  }
+
+  function transitionAllowed(fields, from, to) {
+    var allowed = fields.workflow.transitions[from];
+    return from === to || !allowed || allowed.indexOf(to) !== -1;
+  }
+
+  // --- Estimates (Jira stores seconds) -------------------------------------------
+
+  function estimateFromCSV(text) {
+    var seconds = parseInt(text, 10);
+    return isNaN(seconds) ? 0 : seconds / 3600;
+  }
+
+  /** CSV value to write for `hours`, keeping `current` if it is the same amount. */
+  function estimateToCSV(hours, current) {
+    if (current && estimateFromCSV(current) === hours) return current;
+    return hours ? String(Math.round(hours * 3600)) : '';
+  }
+
+  // --- Dates (e.g. "15/Feb/26 9:05 AM") -------------------------------------------
+
+  /** Short month names, as Jira writes them and the board shows them. */
+  var MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  function pad(n) {
+    return n < 10 ? '0' + n : String(n);
+  }
+
+  function formatJiraDate(date) {
+    var hours = date.getHours() % 12 || 12;
+    return pad(date.getDate()) + '/' + MONTHS[date.getMonth()] + '/' +
+      String(date.getFullYear()).slice(-2) + ' ' + hours + ':' + pad(date.getMinutes()) + ' ' +
+      (date.getHours() < 12 ? 'AM' : 'PM');
+  }
+
+  /** Returns a Date, or null for empty/unrecognised values. ISO dates are accepted too. */
+  function parseJiraDate(text) {
+    var m = /^(\d{1,2})\/(\w{3})\/(\d{2,4})(?:\s+(\d{1,2}):(\d{2})\s*(AM|PM)?)?$/i.exec(String(text || '').trim());
+    if (!m) {
+      var iso = text && /^\d{4}-\d{2}-\d{2}/.test(text) ? new Date(/T/.test(text) ? text : text + 'T00:00:00') : null;
+      return iso && !isNaN(iso) ? iso : null;
+    }
+    var month = -1;
+    MONTHS.forEach(function (name, i) {
+      if (name.toLowerCase() === m[2].toLowerCase()) month = i;
+    });
+    if (month < 0) return null;
+    var year = parseInt(m[3], 10);
+    if (year < 100) year += 2000;
+    var hours = m[4] ? parseInt(m[4], 10) : 0;
+    if (m[6]) hours = (hours % 12) + (m[6].toUpperCase() === 'PM' ? 12 : 0);
+    return new Date(year, month, parseInt(m[1], 10), hours, m[5] ? parseInt(m[5], 10) : 0);
+  }
+
+  // --- Configuration -------------------------------------------------------------
+
+  /**
+   * Builds the mapping from server.conf settings.
+   *
+   * @param {Object} config – { priorities, workflow }, both optional
+   * @returns {Object} { priorities: { level: [csv values] }, workflow: { columns, transitions } }
+   */
+  function configure(config) {
+    config = config || {};
+    var custom = {};
+    var claimed = [];
+    PRIORITIES.forEach(function (level) {
+      var values = config.priorities && config.priorities[level];
+      custom[level] = Array.isArray(values) ? values.map(String).filter(Boolean) : [];
+      custom[level].forEach(function (value) { claimed.push(value.toLowerCase()); });
+    });
+    // Configured values come first (the first one is written); the default
+    // names stay mapped unless another level claims them
+    var priorities = {};
+    PRIORITIES.forEach(function (level) {
+      priorities[level] = custom[level].concat(DEFAULT_PRIORITY_VALUES[level].filter(function (value) {
+        return claimed.indexOf(value.toLowerCase()) === -1;
+      }));
+    });
+    return { priorities: priorities, workflow: configureWorkflow(config.workflow) };
+  }
+
+  // --- Export -------------------------------------------------------------------
+
+  var api = {
+    PRIORITIES: PRIORITIES,
+    PRIORITY_LABELS: PRIORITY_LABELS,
+    CATEGORIES: CATEGORIES,
+    configure: configure,
+    priorityFromCSV: priorityFromCSV,
+    priorityToCSV: priorityToCSV,
+    statusCategory: statusCategory,
+    findColumn: findColumn,
+    firstColumnOf: firstColumnOf,
+    columnForStatus: columnForStatus,
+    columnForIssue: columnForIssue,
+    statusToCSV: statusToCSV,
+    transitionAllowed: transitionAllowed,
+    estimateFromCSV: estimateFromCSV,
+    estimateToCSV: estimateToCSV,
+    MONTHS: MONTHS,
+    formatJiraDate: formatJiraDate,
+    parseJiraDate: parseJiraDate
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Fields = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,413 @@
+/**
+ * JQL-style search for Sprint Board.
+ *
+ *   assignee = "Ann" AND priority = high AND status != done
+ *   "Component/s" ~ api AND sprint in (2, 3)
+ *   (type = Bug OR labels is empty) AND NOT summary ~ docs
+ *
+ * Fields are the mapped issue fields (key, summary, description, status,
+ * column, priority, assignee, estimate, sprint, id, dependsOn, parent, epic,
+ * text) or any CSV column, matched case-insensitively. "epic = SB-1" finds
+ * everything below SB-1, sub-tasks of its issues included. Quote names and values that
+ * contain spaces or symbols. Operators: = != ~ !~ > >= < <= in, not in,
+ * is empty, is not empty. Comparisons are numeric for numbers, by date for
+ * dates ("2026-03-01" or Jira dates) and case-insensitive for text.
+ *
+ * A query without any operator is a plain substring search on summary,
+ * key and assignee, as before; so is text that only fails to parse because
+ * of quotes, brackets or words like "and" in it.
+ *
+ * Shared by the board (search box) and the server (GET /api/issues?jql=).
+ */
+
+(function (root) {
+  'use strict';
+
+  var Fields = typeof module !== 'undefined' && module.exports ? require('./fields.js') : root.Fields;
+
+  /** A query that does not parse; `position` is the character offset of the problem. */
+  function QueryError(message, position) {
+    this.name = 'QueryError';
+    this.message = message;
+    this.position = position;
+  }
+  QueryError.prototype = Object.create(Error.prototype);
+  QueryError.prototype.constructor = QueryError;
+
+  // --- Tokenizer ----------------------------------------------------------------
+
+  var OPERATORS = ['!=', '!~', '>=', '<=', '=', '~', '>', '<'];
+  var KEYWORDS = ['and', 'or', 'not', 'in', 'is', 'empty', 'null'];
+
+  function tokenize(text) {
+    var tokens = [];
+    var i = 0;
+    while (i < text.length) {
+      var ch = text[i];
+      if (/\s/.test(ch)) { i++; continue; }
+
+      if (ch === '(' || ch === ')' || ch === ',') {
+        tokens.push({ type: ch, value: ch, pos: i });
+        i++;
+        continue;
+      }
+
+      var op = null;
+      for (var o = 0; o < OPERATORS.length; o++) {
+        if (text.substr(i, OPERATORS[o].length) === OPERATORS[o]) { op = OPERATORS[o]; break; }
+      }
+      if (op) {
+        tokens.push({ type: 'op', value: op, pos: i });
+        i += op.length;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'") {
+        var start = i;
+        var value = '';
+        i++;
+        while (i < text.length && text[i] !== ch) {
+          if (text[i] === '\\' && i + 1 < text.length) i++;
+          value += text[i];
+          i++;
+        }
+        if (i >= text.length) throw new QueryError('Missing closing ' + ch, start);
+        i++;
+        tokens.push({ type: 'string', value: value, pos: start });
+        continue;
+      }
+
+      var wordStart = i;
+      while (i < text.length && !/[\s(),=!~<>"']/.test(text[i])) i++;
+      if (i === wordStart) throw new QueryError('Unexpected "' + ch + '"', i);
+      var word = text.slice(wordStart, i);
+      var lower = word.toLowerCase();
+      tokens.push({ type: KEYWORDS.indexOf(lower) !== -1 ? lower : 'word', value: word, pos: wordStart });
+    }
+    return tokens;
+  }
+
+  // --- Parser -------------------------------------------------------------------
+
+  // An operator, IN (...) or IS EMPTY: the text is meant as a query, so a
+  // syntax error is worth showing rather than searching for the text
+  var QUERY_SYNTAX = /[=~<>]|\b(not\s+)?in\s*\(|\bis\s+(not\s+)?(empty|null)\b/i;
+
+  /**
+   * Parses a query into a tree of
+   *   { type: 'and' | 'or', left, right }, { type: 'not', expr },
+   *   { type: 'clause', field, op, values }, { type: 'text', text }
+   *
+   * Text that does not parse and has no query syntax ("don't", "fix (auth)")
+   * is a plain text search.
+   *
+   * @throws {QueryError}
+   */
+  function parse(text) {
+    text = String(text || '');
+    try {
+      return parseQuery(text);
+    } catch (e) {
+      if (!(e instanceof QueryError) || QUERY_SYNTAX.test(text)) throw e;
+      return { type: 'text', text: text.trim() };
+    }
+  }
+
+  function parseQuery(text) {
+    var tokens = tokenize(text);
+    if (tokens.length === 0) return null;
+
+    var plain = tokens.every(function (t) { return t.type === 'word' || t.type === 'string'; });
+    if (plain) return { type: 'text', text: tokens.map(function (t) { return t.value; }).join(' ') };
+
+    var pos = 0;
+
+    function peek() { return tokens[pos]; }
+    function at() { return pos < tokens.length ? tokens[pos].pos : text.length; }
+    function describe(token) { return token ? '"' + token.value + '"' : 'the end of the query'; }
+
+    function expect(type, what) {
+      var token = tokens[pos];
+      if (!token || token.type !== type) {
+        throw new QueryError('Expected ' + what + ' but found ' + describe(token), at());
+      }
+      pos++;
+      return token;
+    }
+
+    function parseOr() {
+      var left = parseAnd();
+      while (peek() && peek().type === 'or') {
+        pos++;
+        left = { type: 'or', left: left, right: parseAnd() };
+      }
+      return left;
+    }
+
+    function parseAnd() {
+      var left = parseUnary();
+      while (peek() && peek().type === 'and') {
+        pos++;
+        left = { type: 'and', left: left, right: parseUnary() };
+      }
+      return left;
+    }
+
+    function parseUnary() {
+      var token = peek();
+      if (token && token.type === 'not') {
+        pos++;
+        return { type: 'not', expr: parseUnary() };
+      }
+      if (token && token.type === '(') {
+        pos++;
+        var expr = parseOr();
+        expect(')', '")"');
+        return expr;
+      }
+      return parseClause();
+    }
+
+    function parseValue() {
+      var token = peek();
+      if (token && (token.type === 'word' || token.type === 'string')) {
+        pos++;
+        return token.value;
+      }
+      throw new QueryError('Expected a value but found ' + describe(token), at());
+    }
+
+    function parseClause() {
+      var token = peek();
+      if (!token || (token.type !== 'word' && token.type !== 'string')) {
+        throw new QueryError('Expected a field name but found ' + describe(token), at());
+      }
+      pos++;
+      var field = token.value;
+      var next = peek();
+
+      if (next && next.type === 'op') {
+        pos++;
+        return { type: 'clause', field: field, op: next.value, values: [parseValue()], pos: token.pos };
+      }
+      if (next && (next.type === 'in' || (next.type === 'not' && tokens[pos + 1] && tokens[pos + 1].type === 'in'))) {
+        var negated = next.type === 'not';
+        pos += negated ? 2 : 1;
+        expect('(', '"(" after IN');
+        var values = [parseValue()];
+        while (peek() && peek().type === ',') {
+          pos++;
+          values.push(parseValue());
+        }
+        expect(')', '")" to close the IN list');
+        return { type: 'clause', field: field, op: negated ? 'not in' : 'in', values: values, pos: token.pos };
+      }
+      if (next && next.type === 'is') {
+        pos++;
+        var not = peek() && peek().type === 'not';
+        if (not) pos++;
+        var empty = peek();
+        if (!empty || (empty.type !== 'empty' && empty.type !== 'null')) {
+          throw new QueryError('Expected EMPTY after IS but found ' + describe(empty), at());
+        }
+        pos++;
+        return { type: 'clause', field: field, op: not ? 'is not empty' : 'is empty', values: [], pos: token.pos };
+      }
+      throw new QueryError('Expected an operator after "' + field + '" but found ' + describe(next), at());
+    }
+
+    var tree = parseOr();
+    if (pos < tokens.length) {
+      throw new QueryError('Expected AND or OR but found ' + describe(tokens[pos]), at());
+    }
+    return tree;
+  }
+
+  // --- Field values -------------------------------------------------------------
+
+  // Other names for the mapped fields and common CSV columns
+  var ALIASES = {
+    title: 'summary',
+    estimatehours: 'estimate',
+    hours: 'estimate',
+    depends: 'dependson',
+    type: 'issue type',
+    issuetype: 'issue type',
+    component: 'component/s',
+    components: 'component/s'
+  };
+
+  var MAPPED = ['key', 'summary', 'description', 'status', 'column', 'priority', 'assignee',
+    'estimate', 'sprint', 'id', 'dependson', 'parent', 'epic', 'text'];
+
+  function rawValues(issue, headers, name) {
+    var values = [];
+    headers.forEach(function (h, idx) {
+      if (h.toLowerCase() === name && issue.rawRow && issue.rawRow[idx]) values.push(issue.rawRow[idx]);
+    });
+    return values;
+  }
+
+  /**
+   * Resolves a field name to a function returning the issue's values for it.
+   * `context` is { csvHeaders, fields, sprintNames, issues }.
+   */
+  function fieldGetter(name, context, position) {
+    var lower = String(name).toLowerCase().trim();
+    lower = ALIASES[lower] || lower;
+    var headers = context.csvHeaders || [];
+    var byId = {};
+    (context.issues || []).forEach(function (i) { byId[i.id] = i; });
+
+    function raw(issue, column) {
+      return rawValues(issue, headers, column);
+    }
+
+    switch (MAPPED.indexOf(lower) !== -1 ? lower : null) {
+      case 'key': return function (i) { return [i.key]; };
+      case 'summary': return function (i) { return [i.title]; };
+      case 'description': return function (i) { return i.description ? [i.description] : []; };
+      case 'assignee': return function (i) { return i.assignee ? [i.assignee] : []; };
+      case 'estimate': return function (i) { return [i.estimateHours || 0]; };
+      case 'id': return function (i) { return [i.id]; };
+      case 'text': return function (i) { return [i.title, i.key, i.assignee || '']; };
+      case 'priority':
+        return function (i) { return [i.priority].concat(raw(i, 'priority')); };
+      case 'status':
+        return function (i) {
+          var column = context.fields ? Fields.findColumn(context.fields, i.column) : null;
+          return [i.status].concat(column ? [column.id, column.name] : [], raw(i, 'status'));
+        };
+      case 'column':
+        return function (i) {
+          var column = context.fields ? Fields.findColumn(context.fields, i.column) : null;
+          return column ? [column.id, column.name] : [i.column];
+        };
+      case 'sprint':
+        return function (i) {
+          var sprint = i.sprint || 1;
+          var names = context.sprintNames || {};
+          return [sprint].concat(names[sprint] ? [names[sprint]] : []);
+        };
+      case 'dependson':
+        return function (i) {
+          var values = [];
+          (i.dependsOn || []).forEach(function (id) {
+            values.push(id);
+            if (byId[id]) values.push(byId[id].key);
+          });
+          return values;
+        };
+      case 'parent':
+        return function (i) {
+          var parent = byId[i.parentId];
+          return parent ? [parent.id, parent.key] : [];
+        };
+      case 'epic':
+        return function (i) {
+          var values = [];
+          var seen = {};
+          for (var p = byId[i.parentId]; p && !seen[p.id]; p = byId[p.parentId]) {
+            seen[p.id] = true;
+            values.push(p.id, p.key);
+          }
+          return values;
+        };
+    }
+
+    var known = headers.some(function (h) { return h.toLowerCase() === lower; });
+    if (!known) throw new QueryError('Unknown field "' + name + '"', position);
+    return function (i) { return raw(i, lower); };
+  }
+
+  // --- Evaluation ---------------------------------------------------------------
+
+  function isNumber(v) {
+    return typeof v === 'number' || (/^-?\d+(\.\d+)?$/.test(String(v).trim()));
+  }
+
+  /** Negative, zero or positive like a sort comparator; NaN when the values can't be ordered. */
+  function compare(a, b) {
+    if (isNumber(a) && isNumber(b)) return Number(a) - Number(b);
+    var da = Fields.parseJiraDate(String(a));
+    var db = Fields.parseJiraDate(String(b));
+    if (da && db) return da.getTime() - db.getTime();
+    var sa = String(a).toLowerCase();
+    var sb = String(b).toLowerCase();
+    return sa < sb ? -1 : sa > sb ? 1 : 0;
+  }
+
+  function equals(a, b) {
+    if (isNumber(a) && isNumber(b)) return Number(a) === Number(b);
+    return String(a).toLowerCase().trim() === String(b).toLowerCase().trim();
+  }
+
+  function contains(a, b) {
+    return String(a).toLowerCase().indexOf(String(b).toLowerCase()) !== -1;
+  }
+
+  function clauseTest(node, context) {
+    var get = fieldGetter(node.field, context, node.pos);
+    var values = node.values;
+    function any(issue, test) {
+      return get(issue).some(function (v) { return values.some(function (q) { return test(v, q); }); });
+    }
+    switch (node.op) {
+      case '=': case 'in': return function (i) { return any(i, equals); };
+      case '!=': case 'not in': return function (i) { return !any(i, equals); };
+      case '~': return function (i) { return any(i, contains); };
+      case '!~': return function (i) { return !any(i, contains); };
+      case '>': return function (i) { return any(i, function (v, q) { return compare(v, q) > 0; }); };
+      case '>=': return function (i) { return any(i, function (v, q) { return compare(v, q) >= 0; }); };
+      case '<': return function (i) { return any(i, function (v, q) { return compare(v, q) < 0; }); };
+      case '<=': return function (i) { return any(i, function (v, q) { return compare(v, q) <= 0; }); };
+      case 'is empty': return function (i) { return get(i).every(function (v) { return String(v).trim() === ''; }); };
+      default: return function (i) { return get(i).some(function (v) { return String(v).trim() !== ''; }); };
+    }
+  }
+
+  function build(node, context) {
+    if (!node) return function () { return true; };
+    if (node.type === 'text') {
+      var text = node.text.toLowerCase();
+      return function (i) {
+        return (i.title + ' ' + i.key + ' ' + (i.assignee || '')).toLowerCase().indexOf(text) !== -1;
+      };
+    }
+    if (node.type === 'not') {
+      var inner = build(node.expr, context);
+      return function (i) { return !inner(i); };
+    }
+    if (node.type === 'and' || node.type === 'or') {
+      var left = build(node.left, context);
+      var right = build(node.right, context);
+      return node.type === 'and'
+        ? function (i) { return left(i) && right(i); }
+        : function (i) { return left(i) || right(i); };
+    }
+    return clauseTest(node, context);
+  }
+
+  /**
+   * Compiles a query into a predicate over issues.
+   *
+   * @param {string} text     – the query
+   * @param {Object} context  – { csvHeaders, fields, sprintNames, issues }
+   * @returns {Function} issue => boolean
+   * @throws {QueryError} for syntax errors and unknown fields
+   */
+  function compile(text, context) {
+    return build(parse(text), context || {});
+  }
+
+  // --- Export -------------------------------------------------------------------
+
+  var api = { parse: parse, compile: compile, QueryError: QueryError };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Query = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -8,15 +8,33 @@
  *   1. A task that depends on other tasks (dependsOn array) cannot be placed
  *      in an earlier sprint than any of its dependencies.
  *   2. Tasks are assigned to the earliest sprint where the assignee
- *      still has enough remaining hours.
- *   3. Within a sprint, tasks are ordered by priority (high > medium > low),
- *      then alphabetically by key as a tiebreaker.
+ *      still has enough remaining hours. Capacity can differ per sprint
+ *      and per member (0 hours = absent for that sprint). A task larger
+ *      than any sprint's capacity gets the first sprint the assignee has
+ *      to themselves.
+ *   3. Within a sprint, tasks are ordered by priority (highest > high >
+ *      medium > low > lowest), then alphabetically by key as a tiebreaker.
  *   4. Unassigned tasks consume no capacity and are placed as early as
  *      their dependencies allow.
+ *   5. Sub-tasks (and the issues of an epic) also wait for whatever their
+ *      parent depends on.
  *
  * To customise the behaviour, edit the functions below:
  *   - priorityWeight()  — change how priorities are ranked
- *   - replan()          — change the assignment logic
+ *   - capacityFor()     — change how available hours are looked up
+ *   - plannedHours()    — change how many hours an issue takes
+ *   - plan()            — change the assignment logic
+ *
+ * preview() runs the same algorithm on copies of the issues and reports
+ * which issues would move between sprints, and why.
+ *
+ * validate() and findCycle() check the dependency graph; they are shared
+ * by the server (which refuses to save new cycles) and the board.
+ *
+ * schedule() lays the current plan out day by day for the timeline view
+ * and finds its critical path.
+ *
+ * rollup() sums estimates and progress of epics and issues with sub-tasks.
  */
 
 (function (root) {
@@ -27,18 +45,83 @@
   /** Return a numeric weight for sorting. Lower = scheduled first. */
   function priorityWeight(priority) {
     switch (priority) {
-      case 'high':   return 0;
-      case 'medium': return 1;
-      case 'low':    return 2;
-      default:       return 3;
+      case 'highest': return 0;
+      case 'high':    return 1;
+      case 'medium':  return 2;
+      case 'low':     return 3;
+      case 'lowest':  return 4;
+      default:        return 5;
     }
   }
 
+  /** Sprints to look ahead before giving up on finding capacity. */
+  var MAX_SPRINTS = 100;
+
+  /**
+   * Available hours for a member in a sprint.
+   *
+   * teamCapacity is either the team.conf shape
+   *   { defaultHours: 60, sprints: { "1": { "Alice": 40, "Bob": 0 } } }
+   * or a flat map used for every sprint, e.g. { "Alice": 80 }.
+   */
+  function capacityFor(teamCapacity, sprint, member) {
+    teamCapacity = teamCapacity || {};
+    if (teamCapacity.sprints && typeof teamCapacity.sprints === 'object') {
+      var sprintData = teamCapacity.sprints[String(sprint)];
+      if (sprintData && sprintData[member] != null) return sprintData[member];
+      return teamCapacity.defaultHours || 60;
+    }
+    return teamCapacity[member] != null ? teamCapacity[member] : 80;
+  }
+
+  /**
+   * Hours an issue still takes from its assignee: the remaining estimate once
+   * it is in progress (original estimate minus time spent if none was set),
+   * else the original estimate.
+   */
+  function plannedHours(issue) {
+    var estimate = issue.estimateHours || 0;
+    if (issue.status !== 'inprogress') return estimate;
+    if (issue.remainingHours != null) return issue.remainingHours;
+    return Math.max(estimate - (issue.spentHours || 0), 0);
+  }
+
+  function listSprints(sprints) {
+    return sprints.length === 1 ? 'Sprint ' + sprints[0] : 'Sprints ' + sprints.join(', ');
+  }
+
   // --- Core algorithm ----------------------------------------------------------
 
+  function depsOf(issue) {
+    var deps = issue.dependsOn || [];
+    return Array.isArray(deps) ? deps : [deps];
+  }
+
+  /** Dependencies of the issue and of its parent, grandparent, ... (rule 5). */
+  function planDeps(byId, issue) {
+    var deps = depsOf(issue).slice();
+    var seen = {};
+    seen[issue.id] = true;
+    for (var p = byId[issue.parentId]; p && !seen[p.id]; p = byId[p.parentId]) {
+      seen[p.id] = true;
+      depsOf(p).forEach(function (depId) {
+        if (depId !== issue.id && deps.indexOf(depId) === -1) deps.push(depId);
+      });
+    }
+    return deps;
+  }
+
+  function byPriorityThenKey(a, b) {
+    var pw = priorityWeight(a.priority) - priorityWeight(b.priority);
+    if (pw !== 0) return pw;
+    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+  }
+
   /**
    * Topological sort of issues respecting dependsOn, with priority as
    * secondary sort so higher-priority tasks come first when possible.
+   * Issues on a dependency cycle cannot be ordered; they are appended at
+   * the end (see validate() for reporting them).
    */
   function topoSort(issues) {
     var byId = {};
@@ -52,9 +135,7 @@
       dependents[issue.id] = [];
     });
     issues.forEach(function (issue) {
-      var deps = issue.dependsOn || [];
-      if (!Array.isArray(deps)) deps = deps ? [deps] : [];
-      deps.forEach(function (depId) {
+      planDeps(byId, issue).forEach(function (depId) {
         if (byId[depId]) {
           inDegree[issue.id]++;
           dependents[depId].push(issue.id);
@@ -65,11 +146,7 @@
     // Seed the queue with zero-in-degree issues, sorted by priority then key
     var queue = issues
       .filter(function (i) { return inDegree[i.id] === 0; })
-      .sort(function (a, b) {
-        var pw = priorityWeight(a.priority) - priorityWeight(b.priority);
-        if (pw !== 0) return pw;
-        return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
-      });
+      .sort(byPriorityThenKey);
 
     var result = [];
 
@@ -87,11 +164,7 @@
       });
 
       // Sort freed issues and merge into queue in priority order
-      freed.sort(function (a, b) {
-        var pw = priorityWeight(a.priority) - priorityWeight(b.priority);
-        if (pw !== 0) return pw;
-        return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
-      });
+      freed.sort(byPriorityThenKey);
 
       // Insert freed items into the queue maintaining sort order
       freed.forEach(function (f) {
@@ -108,18 +181,130 @@
       });
     }
 
+    if (result.length < issues.length) {
+      var placed = {};
+      result.forEach(function (issue) { placed[issue.id] = true; });
+      issues
+        .filter(function (issue) { return !placed[issue.id]; })
+        .sort(byPriorityThenKey)
+        .forEach(function (issue) { result.push(issue); });
+    }
+
     return result;
   }
 
+  // --- Dependency validation ---------------------------------------------------
+
   /**
-   * Main entry point.
+   * Dependency chain from `fromId` to `toId` following dependsOn, as a list
+   * of ids starting with fromId and ending with toId, or null if none.
+   */
+  function dependencyPath(byId, fromId, toId) {
+    var visited = {};
+    function walk(id) {
+      if (id === toId) return [id];
+      if (visited[id] || !byId[id]) return null;
+      visited[id] = true;
+      var deps = depsOf(byId[id]);
+      for (var i = 0; i < deps.length; i++) {
+        var rest = walk(deps[i]);
+        if (rest) return [id].concat(rest);
+      }
+      return null;
+    }
+    return walk(fromId);
+  }
+
+  /**
+   * Would making issue `issueId` depend on `depId` create a cycle?
    *
-   * @param {Array}  issues        – the full issues array (mutated in place)
-   * @param {Object} teamCapacity  – e.g. { "Alice": 80, "Bob": 80 }
-   * @returns {Array} the reordered issues array (same references, mutated sprint fields)
+   * @returns {Array|null} the cycle as a key chain, e.g. ["SB-1", "SB-2", "SB-1"]
    */
-  function replan(issues, teamCapacity) {
+  function findCycle(issues, issueId, depId) {
+    var byId = {};
+    issues.forEach(function (issue) { byId[issue.id] = issue; });
+    if (issueId === depId) return byId[issueId] ? [byId[issueId].key, byId[issueId].key] : null;
+    var path = dependencyPath(byId, depId, issueId);
+    if (!path) return null;
+    return [issueId].concat(path).map(function (id) { return byId[id].key; });
+  }
+
+  /**
+   * Checks the dependency graph.
+   *
+   * @returns {Object} {
+   *   cycles:     [{ ids: [1, 2, 1], keys: ["SB-1", "SB-2", "SB-1"] }],
+   *   dangling:   [{ id, key, ref }]   – dependsOn/unresolvedDeps entries matching no issue
+   *   lateDeps:   [{ id, key, sprint, depId, depKey, depSprint }] – dependency scheduled after its dependent
+   * }
+   */
+  function validate(issues) {
+    var byId = {};
+    issues.forEach(function (issue) { byId[issue.id] = issue; });
+
+    var cycles = [];
+    var seenCycles = {};
+    var color = {}; // undefined = unvisited, 1 = on the current path, 2 = done
+    var path = [];
+
+    function visit(issue) {
+      color[issue.id] = 1;
+      path.push(issue.id);
+      depsOf(issue).forEach(function (depId) {
+        var dep = byId[depId];
+        if (!dep) return;
+        if (color[depId] === 1) {
+          var ids = path.slice(path.indexOf(depId)).concat([depId]);
+          var signature = ids.slice(0, -1).sort().join(',');
+          if (!seenCycles[signature]) {
+            seenCycles[signature] = true;
+            cycles.push({ ids: ids, keys: ids.map(function (id) { return byId[id].key; }) });
+          }
+        } else if (!color[depId]) {
+          visit(dep);
+        }
+      });
+      path.pop();
+      color[issue.id] = 2;
+    }
+    issues.forEach(function (issue) {
+      if (!color[issue.id]) visit(issue);
+    });
+
+    var dangling = [];
+    var lateDeps = [];
+    issues.forEach(function (issue) {
+      depsOf(issue).forEach(function (depId) {
+        var dep = byId[depId];
+        if (!dep) {
+          dangling.push({ id: issue.id, key: issue.key, ref: String(depId) });
+        } else if ((dep.sprint || 1) > (issue.sprint || 1)) {
+          lateDeps.push({
+            id: issue.id, key: issue.key, sprint: issue.sprint || 1,
+            depId: dep.id, depKey: dep.key, depSprint: dep.sprint || 1
+          });
+        }
+      });
+      (issue.unresolvedDeps || []).forEach(function (ref) {
+        dangling.push({ id: issue.id, key: issue.key, ref: ref });
+      });
+    });
+
+    return { cycles: cycles, dangling: dangling, lateDeps: lateDeps };
+  }
+
+  /**
+   * Assigns sprints to the issues (mutated in place). When `reasons` is
+   * given, it is filled with a short explanation per issue id.
+   */
+  function plan(issues, teamCapacity, reasons) {
     var sorted = topoSort(issues);
+    var byId = {};
+    issues.forEach(function (issue) { byId[issue.id] = issue; });
+
+    function explain(issue, text) {
+      if (reasons) reasons[issue.id] = text;
+    }
 
     // Track per-member remaining hours in each sprint.
     // sprintRemaining[sprintNum][memberName] = hours left
@@ -128,9 +313,7 @@
     function getRemaining(sprint, member) {
       if (!sprintRemaining[sprint]) sprintRemaining[sprint] = {};
       if (sprintRemaining[sprint][member] == null) {
-        sprintRemaining[sprint][member] = teamCapacity[member] != null
-          ? teamCapacity[member]
-          : 80;
+        sprintRemaining[sprint][member] = capacityFor(teamCapacity, sprint, member);
       }
       return sprintRemaining[sprint][member];
     }
@@ -147,36 +330,56 @@
     sorted.forEach(function (issue) {
       // Earliest sprint from dependencies (must be >= all dependency sprints)
       var earliest = 1;
-      var deps = issue.dependsOn || [];
-      if (!Array.isArray(deps)) deps = deps ? [deps] : [];
-      deps.forEach(function (depId) {
+      var blocker = null;
+      var own = depsOf(issue);
+      planDeps(byId, issue).forEach(function (depId) {
         if (issueSprint[depId] != null && issueSprint[depId] > earliest) {
           earliest = issueSprint[depId];
+          blocker = byId[depId];
         }
       });
+      var parent = byId[issue.parentId];
+      var depReason = !blocker ? null
+        : own.indexOf(blocker.id) !== -1 || !parent ? 'depends on ' + blocker.key + ' (Sprint ' + earliest + ')'
+        : 'parent ' + parent.key + ' waits for ' + blocker.key + ' (Sprint ' + earliest + ')';
 
-      var hours = issue.estimateHours || 0;
+      var hours = plannedHours(issue);
       var member = issue.assignee;
 
       if (!member || hours === 0) {
         // No assignee or no estimate — just respect dependency order
         issue.sprint = earliest;
         issueSprint[issue.id] = earliest;
+        explain(issue, depReason || (member ? 'no estimate' : 'unassigned'));
         return;
       }
 
-      // Find the first sprint >= earliest where this member has capacity
+      // Find the first sprint >= earliest where this member has capacity.
+      // Remember the first sprint they have to themselves, for oversized tasks.
       var sprint = earliest;
-      while (true) {
+      var untouched = null;
+      var absent = [];
+      var full = [];
+      while (sprint < earliest + MAX_SPRINTS) {
         var remaining = getRemaining(sprint, member);
-        if (remaining >= hours) {
-          break;
-        }
+        var capacity = capacityFor(teamCapacity, sprint, member);
+        if (remaining >= hours) break;
+        if (untouched === null && capacity > 0 && remaining === capacity) untouched = sprint;
+        (capacity > 0 ? full : absent).push(sprint);
         sprint++;
-        // Safety: don't loop forever
-        if (sprint > 100) break;
       }
 
+      var why = [];
+      if (sprint === earliest + MAX_SPRINTS) {
+        sprint = untouched !== null ? untouched : earliest;
+        why.push(hours + 'h is more than ' + member + ' has in any sprint');
+      } else {
+        if (full.length > 0) why.push(member + ' has no room left in ' + listSprints(full));
+        if (absent.length > 0) why.push(member + ' is absent in ' + listSprints(absent));
+      }
+      if (depReason) why.unshift(depReason);
+      explain(issue, why.length > 0 ? why.join('; ') : member + ' has room in Sprint ' + sprint);
+
       issue.sprint = sprint;
       issueSprint[issue.id] = sprint;
       consumeHours(sprint, member, hours);
@@ -185,12 +388,224 @@
     return sorted;
   }
 
+  /**
+   * Main entry point.
+   *
+   * @param {Array}  issues        – the full issues array (mutated in place)
+   * @param {Object} teamCapacity  – team.conf shape { defaultHours, sprints: { "1": { "Alice": 40 } } }
+   *                                 or a flat map { "Alice": 80 } used for every sprint
+   * @returns {Array} the reordered issues array (same references, mutated sprint fields)
+   */
+  function replan(issues, teamCapacity) {
+    return plan(issues, teamCapacity);
+  }
+
+  /**
+   * Dry run of replan(): leaves the issues untouched.
+   *
+   * @returns {Array} one { id, key, title, from, to, reason } per issue that would change sprint
+   */
+  function preview(issues, teamCapacity) {
+    var copies = issues.map(function (issue) {
+      var copy = {};
+      Object.keys(issue).forEach(function (k) { copy[k] = issue[k]; });
+      return copy;
+    });
+    var reasons = {};
+    plan(copies, teamCapacity, reasons);
+
+    var moves = [];
+    issues.forEach(function (issue, idx) {
+      var from = issue.sprint || 1;
+      var to = copies[idx].sprint;
+      if (from !== to) {
+        moves.push({ id: issue.id, key: issue.key, title: issue.title, from: from, to: to, reason: reasons[issue.id] });
+      }
+    });
+    return moves;
+  }
+
+  // --- Timeline schedule ------------------------------------------------------
+
+  /** Working days in a two-week sprint; used when no sprint lengths are given. */
+  var SPRINT_DAYS = 10;
+
+  /**
+   * Numbers the working days of all sprints in a row: day 0 is the first
+   * working day of Sprint 1. `daysIn(sprint)` gives each sprint's working
+   * days (e.g. from its dates); without it every sprint has SPRINT_DAYS.
+   *
+   * @returns {Object} { daysIn(sprint), startOf(sprint), sprintAt(day) }
+   */
+  function workdays(daysIn) {
+    var starts = [0]; // starts[n - 1]: first working day of sprint n
+    function days(sprint) {
+      var n = daysIn ? daysIn(sprint) : SPRINT_DAYS;
+      return n > 0 ? n : 0;
+    }
+    function startOf(sprint) {
+      while (starts.length < sprint) starts.push(starts[starts.length - 1] + days(starts.length));
+      return starts[sprint - 1];
+    }
+    function sprintAt(day) {
+      var sprint = 1;
+      // Sprints without working days are skipped; give up far past the plan
+      var limit = Math.floor(day) + MAX_SPRINTS;
+      while (sprint < limit && startOf(sprint + 1) <= day) sprint++;
+      return sprint;
+    }
+    return { daysIn: days, startOf: startOf, sprintAt: sprintAt };
+  }
+
+  /**
+   * Works `hours` for `member` starting at working day `from`, at their
+   * daily rate (sprint capacity / working days of the sprint). Days where
+   * the member is absent are skipped.
+   *
+   * @returns {Object} { start, end } in fractional working days
+   */
+  function work(teamCapacity, days, member, from, hours) {
+    var day = from;
+    var start = null;
+    var left = hours;
+    var limit = days.startOf(days.sprintAt(from) + MAX_SPRINTS);
+    while (day < limit) {
+      var whole = Math.floor(day);
+      var sprint = days.sprintAt(whole);
+      var rate = capacityFor(teamCapacity, sprint, member) / (days.daysIn(sprint) || 1);
+      if (rate > 0) {
+        if (start === null) start = day;
+        var room = (whole + 1 - day) * rate;
+        if (room >= left) return { start: start, end: day + left / rate };
+        left -= room;
+      }
+      day = whole + 1;
+    }
+    return { start: start === null ? from : start, end: day };
+  }
+
+  /**
+   * Day-by-day layout of the current sprint plan. Leaves the issues untouched.
+   *
+   * Days are numbered as by workdays(daysIn), so sprints may have any
+   * length. An issue starts once its
+   * sprint has begun, its dependencies are finished and its assignee is
+   * done with their earlier issues. Unassigned issues are not queued
+   * behind each other and work at the default rate.
+   *
+   * @returns {Object} {
+   *   bars:         [{ id, key, assignee, start, end, critical }] – fractional working days
+   *   end:          day the last issue finishes
+   *   criticalPath: [ids] – the dependency chain that finishes last, in order
+   * }
+   */
+  function schedule(issues, teamCapacity, daysIn) {
+    var days = workdays(daysIn);
+    var byId = {};
+    issues.forEach(function (issue) { byId[issue.id] = issue; });
+
+    // Sprint order first, dependencies before dependents; cycles are cut
+    // where they are first entered.
+    var ordered = issues.slice().sort(function (a, b) {
+      return ((a.sprint || 1) - (b.sprint || 1)) || byPriorityThenKey(a, b);
+    });
+    var sorted = [];
+    var seen = {};
+    function visit(issue) {
+      if (seen[issue.id]) return;
+      seen[issue.id] = true;
+      depsOf(issue).forEach(function (depId) {
+        if (byId[depId]) visit(byId[depId]);
+      });
+      sorted.push(issue);
+    }
+    ordered.forEach(visit);
+
+    var barById = {};
+    var latestDep = {};
+    var memberFree = {};
+    var bars = sorted.map(function (issue) {
+      var from = days.startOf(issue.sprint || 1);
+      depsOf(issue).forEach(function (depId) {
+        var dep = barById[depId];
+        if (!dep) return;
+        if (dep.end > from) from = dep.end;
+        if (!latestDep[issue.id] || dep.end > barById[latestDep[issue.id]].end) latestDep[issue.id] = depId;
+      });
+      var member = issue.assignee || '';
+      if (member && memberFree[member] > from) from = memberFree[member];
+
+      var span = work(teamCapacity, days, member, from, plannedHours(issue));
+      if (member) memberFree[member] = span.end;
+      var bar = { id: issue.id, key: issue.key, assignee: issue.assignee || '', start: span.start, end: span.end, critical: false };
+      barById[issue.id] = bar;
+      return bar;
+    });
+
+    var last = null;
+    bars.forEach(function (bar) {
+      if (!last || bar.end >= last.end) last = bar;
+    });
+    var criticalPath = [];
+    for (var bar = last; bar && !bar.critical; bar = barById[latestDep[bar.id]]) {
+      bar.critical = true;
+      criticalPath.unshift(bar.id);
+    }
+
+    return { bars: bars, end: last ? last.end : 0, criticalPath: criticalPath };
+  }
+
+  // --- Epics and sub-tasks ------------------------------------------------------
+
+  /**
+   * Estimate and progress of every issue that has children (sub-tasks, or
+   * the issues of an epic), over its own estimate and the whole tree below it.
+   *
+   * @returns {Object} by issue id: {
+   *   children: [ids], count, done, hours, doneHours,
+   *   progress: 0..1 – by hours when anything is estimated, else by issue count
+   * }
+   */
+  function rollup(issues) {
+    var children = {};
+    var byId = {};
+    issues.forEach(function (issue) { byId[issue.id] = issue; });
+    issues.forEach(function (issue) {
+      if (!byId[issue.parentId] || issue.parentId === issue.id) return;
+      (children[issue.parentId] = children[issue.parentId] || []).push(issue.id);
+    });
+
+    var result = {};
+    function total(id, seen) {
+      var issue = byId[id];
+      var isDone = issue.status === 'done';
+      var sum = { count: 0, done: 0, hours: issue.estimateHours || 0, doneHours: isDone ? issue.estimateHours || 0 : 0 };
+      seen[id] = true;
+      (children[id] || []).forEach(function (childId) {
+        if (seen[childId]) return; // parent loop in the CSV
+        var child = total(childId, seen);
+        sum.count += child.count + 1;
+        sum.done += child.done + (byId[childId].status === 'done' ? 1 : 0);
+        sum.hours += child.hours;
+        sum.doneHours += child.doneHours;
+      });
+      return sum;
+    }
+    Object.keys(children).forEach(function (id) {
+      var sum = total(byId[id].id, {});
+      sum.children = children[id];
+      sum.progress = sum.hours > 0 ? sum.doneHours / sum.hours : sum.count > 0 ? sum.done / sum.count : 0;
+      result[id] = sum;
+    });
+    return result;
+  }
+
   // --- Export -------------------------------------------------------------------
 
   if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { replan: replan };
+    module.exports = { replan: replan, preview: preview, validate: validate, findCycle: findCycle, schedule: schedule, workdays: workdays, rollup: rollup, plannedHours: plannedHours, SPRINT_DAYS: SPRINT_DAYS, MAX_SPRINTS: MAX_SPRINTS, capacityFor: capacityFor };
   } else {
-    root.Replan = { replan: replan };
+    root.Replan = { replan: replan, preview: preview, validate: validate, findCycle: findCycle, schedule: schedule, workdays: workdays, rollup: rollup, plannedHours: plannedHours, SPRINT_DAYS: SPRINT_DAYS, MAX_SPRINTS: MAX_SPRINTS, capacityFor: capacityFor };
   }
 
 })(typeof window !== 'undefined' ? window : this);
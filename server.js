@@ -1,42 +1,219 @@
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const Replan = require('./replan.js');
+const Fields = require('./fields.js');
+const Query = require('./query.js');
+const Calendar = require('./calendar.js');
 
 const PORT = 3000;
-const TASKS_FILE = path.join(__dirname, 'tasks.csv');
 const INDEX_FILE = path.join(__dirname, 'index.html');
 const REPLAN_FILE = path.join(__dirname, 'replan.js');
-const CONFIG_FILE = path.join(__dirname, 'server.conf');
-const TEAM_FILE = path.join(__dirname, 'team.conf');
+const FIELDS_FILE = path.join(__dirname, 'fields.js');
+const QUERY_FILE = path.join(__dirname, 'query.js');
+const CALENDAR_FILE = path.join(__dirname, 'calendar.js');
+const PROJECTS_FILE = path.join(__dirname, 'projects.conf');
+const USERS_FILE = path.join(__dirname, 'users.conf');
+
+// --- Projects (one board each, with its own CSV, server.conf, team.conf and history) ---
+
+// projects.conf example:
+//   { "projects": [
+//       { "key": "SB", "name": "Sprint Board" },
+//       { "key": "WEB", "name": "Web shop", "dir": "projects/web" } ] }
+// Each project keeps tasks.csv, server.conf, team.conf and history.log in its
+// "dir" (the server's own directory when left out); "tasks", "config", "team"
+// and "history" name the files one by one. Without projects.conf the server
+// runs a single project on the files next to it, as before.
+
+const PROJECT_KEY = /^[A-Z][A-Z0-9_]*$/;
+
+function loadProjects() {
+  let entries = null;
+  try {
+    entries = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8')).projects;
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('Ignoring projects.conf: ' + e.message);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) entries = [{}];
+
+  const loaded = [];
+  entries.forEach(entry => {
+    const key = entry.key ? String(entry.key) : null;
+    if (!key && entries.length > 1) {
+      console.error('Skipping a project without "key" in projects.conf');
+      return;
+    }
+    if (key && (!PROJECT_KEY.test(key) || loaded.some(p => p.key === key))) {
+      console.error('Skipping project "' + key + '" in projects.conf: keys must be unique, like "WEB"');
+      return;
+    }
+    const dir = path.resolve(__dirname, entry.dir || '.');
+    fs.mkdirSync(dir, { recursive: true });
+    const file = (name, fallback) => path.resolve(dir, entry[name] || fallback);
+    loaded.push({
+      key: key, // filled in from the issue keys when not configured
+      name: entry.name ? String(entry.name) : key,
+      tasksFile: file('tasks', 'tasks.csv'),
+      configFile: file('config', 'server.conf'),
+      teamFile: file('team', 'team.conf'),
+      historyFile: file('history', 'history.log'),
+      historyEntries: null, // loaded lazily from historyFile
+      undoStack: [], // transaction ids, most recent last
+      redoStack: [],
+    });
+  });
+  return loaded;
+}
 
-// --- Config (visible fields + order) ---
+const projects = loadProjects();
 
-function readConfig() {
+// The project the current request works on; requests without /api/projects/:key use the first.
+// Handlers run synchronously, so only readJSONBody() has to restore it.
+let project = projects[0];
+
+function useProject(p) {
+  project = p;
+}
+
+function findProject(key) {
+  return projects.find(p => p.key === key) || null;
+}
+
+// The other project an issue key like "WEB-12" belongs to, if any
+function projectOfRef(ref) {
+  const dash = String(ref).lastIndexOf('-');
+  const other = dash > 0 ? findProject(String(ref).substring(0, dash)) : null;
+  return other !== project ? other : null;
+}
+
+function projectInfo(p) {
+  return { key: p.key, name: p.name || p.key };
+}
+
+// --- Revisions (optimistic concurrency for concurrent editors) ---
+
+function revisionOf(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+}
+
+function readTeamRevision() {
   try {
-    const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-    return JSON.parse(data);
+    return revisionOf(fs.readFileSync(project.teamFile, 'utf8'));
   } catch (e) {
-    return { visibleFields: [] };
+    return revisionOf('');
   }
 }
 
-function writeConfig(config) {
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2) + '\n');
+// --- Safe writes and backups ---
+
+// Saves go to a temporary file that is then renamed over the old one, so a
+// crash leaves either the old or the new file, never half of one. Before
+// tasks.csv, server.conf, team.conf or users.conf is replaced, the old file is
+// copied to backups/ next to it (at most every BACKUP_MINUTES) and the newest
+// BACKUP_COUNT copies of each file are kept.
+
+const BACKUP_DIR = 'backups';
+const BACKUP_MINUTES = 10;
+const BACKUP_COUNT = 30;
+const BACKUP_NAME = /^(.+)\.(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2}\.\d{3})Z$/; // tasks.csv.2026-03-02T09-15-00.000Z
+
+function writeFileAtomic(file, text, mode) {
+  const temp = path.join(path.dirname(file), '.' + path.basename(file) + '.' + process.pid + '.tmp');
+  try {
+    const fd = fs.openSync(temp, 'w', mode);
+    try {
+      fs.writeFileSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temp, file);
+  } catch (e) {
+    fs.rmSync(temp, { force: true });
+    throw e;
+  }
+}
+
+function backupDir(file) {
+  return path.join(path.dirname(file), BACKUP_DIR);
+}
+
+// Backups of `file`, newest first
+function listBackups(file) {
+  let names;
+  try {
+    names = fs.readdirSync(backupDir(file));
+  } catch (e) {
+    return [];
+  }
+  return names.map(name => {
+    const m = BACKUP_NAME.exec(name);
+    if (!m || m[1] !== path.basename(file)) return null;
+    const at = new Date(m[2] + 'T' + m[3] + ':' + m[4] + ':' + m[5] + 'Z');
+    return { name: name, file: m[1], at: at.toISOString(), size: fs.statSync(path.join(backupDir(file), name)).size };
+  }).filter(Boolean).sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
 }
 
-// --- Team config (member hours per sprint) ---
+// Copies `file` to backups/ unless the last copy is recent; `force` copies anyway (before a restore)
+function backUp(file, force) {
+  if (!fs.existsSync(file)) return;
+  const backups = listBackups(file);
+  const now = new Date();
+  if (!force && backups.length > 0 && now - new Date(backups[0].at) < BACKUP_MINUTES * 60000) return;
+  fs.mkdirSync(backupDir(file), { recursive: true });
+  fs.copyFileSync(file, path.join(backupDir(file), path.basename(file) + '.' + now.toISOString().replace(/:/g, '-')));
+  backups.slice(BACKUP_COUNT - 1).forEach(b => fs.rmSync(path.join(backupDir(file), b.name), { force: true }));
+}
 
-function readTeamConfig() {
+// A file that is there but cannot be used. Carrying on with an empty board or
+// the default settings would overwrite it on the next save.
+function damagedFile(file, reason) {
+  return new ApiError(500, path.basename(file) + ' cannot be read (' + reason + '). ' +
+    'Restore a backup or repair the file.', { damaged: path.basename(file) });
+}
+
+// Parsed JSON of `file`; `fallback` when there is no such file
+function readJSONFile(file, fallback) {
+  let data;
+  try {
+    data = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw damagedFile(file, e.message);
+  }
   try {
-    const data = fs.readFileSync(TEAM_FILE, 'utf8');
     return JSON.parse(data);
   } catch (e) {
-    return { defaultHours: 60, sprints: {} };
+    throw damagedFile(file, e.message);
   }
 }
 
+// --- Config (visible fields + order) ---
+
+function readConfig() {
+  return readJSONFile(project.configFile, { visibleFields: [] });
+}
+
+function writeConfig(config) {
+  const text = JSON.stringify(config, null, 2) + '\n';
+  backUp(project.configFile);
+  writeFileAtomic(project.configFile, text);
+  knownRevisions[project.configFile] = revisionOf(text);
+}
+
+// --- Team config (member hours per sprint, or a calendar; see calendar.js) ---
+
+function readTeamConfig() {
+  return readJSONFile(project.teamFile, { defaultHours: 60, sprints: {} });
+}
+
 function writeTeamConfig(config) {
-  fs.writeFileSync(TEAM_FILE, JSON.stringify(config, null, 2) + '\n');
+  const text = JSON.stringify(config, null, 2) + '\n';
+  backUp(project.teamFile);
+  writeFileAtomic(project.teamFile, text);
+  knownRevisions[project.teamFile] = revisionOf(text);
 }
 
 // --- CSV Parser (RFC 4180 compliant) ---
@@ -120,6 +297,13 @@ function findColIndex(headers, name) {
   return headers.indexOf(name);
 }
 
+// Jira exports multi-value fields (e.g. Sprint) as repeated columns
+function findColIndices(headers, name) {
+  const indices = [];
+  headers.forEach((h, i) => { if (h === name) indices.push(i); });
+  return indices;
+}
+
 function getCell(row, idx) {
   if (idx < 0 || idx >= row.length) return '';
   return row[idx];
@@ -131,68 +315,10 @@ function setCell(row, idx, value) {
   row[idx] = String(value == null ? '' : value);
 }
 
-// --- Status mapping ---
-
-const STATUS_TO_INTERNAL = {
-  'open': 'todo',
-  'to do': 'todo',
-  'backlog': 'todo',
-  'in refinement': 'todo',
-  'new': 'todo',
-  'reopened': 'todo',
-  'in progress': 'inprogress',
-  'in development': 'inprogress',
-  'in review': 'inprogress',
-  'done': 'done',
-  'closed': 'done',
-  'resolved': 'done',
-};
-
-function mapStatusToInternal(csvStatus) {
-  const key = (csvStatus || '').toLowerCase().trim();
-  return STATUS_TO_INTERNAL[key] || 'todo';
-}
-
-const INTERNAL_TO_STATUS = {
-  'todo': 'Open',
-  'inprogress': 'In Progress',
-  'done': 'Done',
-};
-
-function mapStatusToCSV(internalStatus) {
-  return INTERNAL_TO_STATUS[internalStatus] || 'Open';
-}
-
-// --- Priority mapping ---
-
-const PRIORITY_TO_INTERNAL = {
-  'blocker': 'high',
-  'critical': 'high',
-  'highest': 'high',
-  'high': 'high',
-  'major': 'medium',
-  'medium': 'medium',
-  'normal': 'medium',
-  'minor': 'low',
-  'low': 'low',
-  'trivial': 'low',
-  'lowest': 'low',
-};
-
-function mapPriorityToInternal(csvPriority) {
-  const key = (csvPriority || '').toLowerCase().trim();
-  return PRIORITY_TO_INTERNAL[key] || 'medium';
-}
-
-const INTERNAL_TO_PRIORITY = {
-  'high': 'Critical',
-  'medium': 'Major',
-  'low': 'Minor',
-};
+// --- Field mapping (priority, status, estimate; shared with the board via fields.js) ---
 
-function mapPriorityToCSV(internalPriority) {
-  return INTERNAL_TO_PRIORITY[internalPriority] || 'Major';
-}
+// Priority values and workflow columns from server.conf, refreshed by readTasks()
+let fields = Fields.configure({});
 
 // --- In-memory CSV store (preserves all original columns) ---
 
@@ -206,25 +332,316 @@ function buildColIndices(headers) {
     issueKey: findColIndex(headers, 'Issue key'),
     issueId: findColIndex(headers, 'Issue id'),
     issueType: findColIndex(headers, 'Issue Type'),
+    parentId: findColIndex(headers, 'Parent id'),
+    parent: findColIndex(headers, 'Parent'),
+    epicLink: findColIndex(headers, 'Custom field (Epic Link)'),
     status: findColIndex(headers, 'Status'),
     priority: findColIndex(headers, 'Priority'),
     assignee: findColIndex(headers, 'Assignee'),
     description: findColIndex(headers, 'Description'),
     originalEstimate: findColIndex(headers, 'Original Estimate'),
+    remainingEstimate: findColIndex(headers, 'Remaining Estimate'),
+    timeSpent: findColIndex(headers, 'Time Spent'),
+    worklogs: findColIndices(headers, 'Log Work'),
+    comments: findColIndices(headers, 'Comment'),
     depends: findColIndex(headers, 'Inward issue link (Depends)'),
     finishToStart: findColIndex(headers, 'Inward issue link (Finish to Start)'),
-    sprint: headers.indexOf('Sprint'),
+    reporter: findColIndex(headers, 'Reporter'),
+    creator: findColIndex(headers, 'Creator'),
+    created: findColIndex(headers, 'Created'),
+    updated: findColIndex(headers, 'Updated'),
+    resolved: findColIndex(headers, 'Resolved'),
+    sprints: findColIndices(headers, 'Sprint'),
+  };
+}
+
+// --- Sprint mapping (CSV sprint names <-> sprint numbers) ---
+
+let sprintNames = {}; // sprint number -> sprint name as written in the CSV
+
+function getSprintValues(row) {
+  return colIndices.sprints.map(idx => getCell(row, idx).trim()).filter(Boolean);
+}
+
+function sprintNumberFromName(name) {
+  const m = /(\d+)\s*$/.exec(name);
+  return m ? parseInt(m[1], 10) : NaN;
+}
+
+// `configured` holds the names given to sprints in server.conf; they win over the CSV
+function buildSprintNames(dataRows, configured) {
+  const names = { ...configured };
+  const seen = new Set(Object.values(names));
+  const unnumbered = [];
+  dataRows.forEach(row => {
+    getSprintValues(row).forEach(name => {
+      if (seen.has(name)) return;
+      seen.add(name);
+      const num = sprintNumberFromName(name);
+      if (num > 0 && names[num] == null) {
+        names[num] = name;
+      } else {
+        unnumbered.push(name);
+      }
+    });
+  });
+  // Names without a usable number go after the numbered sprints, in order of appearance
+  let next = Object.keys(names).reduce((m, n) => Math.max(m, parseInt(n, 10)), 0) + 1;
+  unnumbered.forEach(name => { names[next++] = name; });
+  return names;
+}
+
+// --- Sprints (name, dates, goal and state; kept in server.conf "sprints") ---
+
+const DEFAULT_SPRINT_START = '2026-02-15';
+const DEFAULT_SPRINT_LENGTH = 14;
+const SPRINT_STATES = ['planned', 'active', 'closed'];
+
+function isISODate(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text || '') && !isNaN(new Date(text + 'T00:00:00'));
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(isoDate + 'T00:00:00');
+  date.setDate(date.getDate() + days);
+  return localDate(date);
+}
+
+function sprintLength(config) {
+  return config.sprintLength > 0 ? Math.round(config.sprintLength) : DEFAULT_SPRINT_LENGTH;
+}
+
+function configuredSprintNames(config) {
+  const names = {};
+  Object.keys(config.sprints || {}).forEach(num => {
+    if (config.sprints[num] && config.sprints[num].name) names[num] = String(config.sprints[num].name);
+  });
+  return names;
+}
+
+/**
+ * Sprints 1..count as { sprint, name, start, end, goal, state }. A sprint
+ * without dates in server.conf starts the day after the one before it and
+ * lasts "sprintLength" days; sprint 1 starts on "sprintStart".
+ */
+function buildSprints(config, names, count) {
+  const configured = config.sprints || {};
+  const sprints = {};
+  let next = isISODate(config.sprintStart) ? config.sprintStart : DEFAULT_SPRINT_START;
+  for (let n = 1; n <= count; n++) {
+    const c = configured[n] || {};
+    const start = isISODate(c.start) ? c.start : next;
+    const end = isISODate(c.end) && c.end >= start ? c.end : addDays(start, sprintLength(config) - 1);
+    sprints[n] = {
+      sprint: n,
+      name: names[n] || 'Sprint ' + n,
+      start: start,
+      end: end,
+      goal: c.goal || '',
+      state: SPRINT_STATES.includes(c.state) ? c.state : 'planned',
+    };
+    if (c.closedAt) sprints[n].closedAt = c.closedAt;
+    next = addDays(end, 1);
+  }
+  return sprints;
+}
+
+// The sprint the board shows: the active one, else the first one not closed yet
+function activeSprintOf(sprints) {
+  const list = Object.values(sprints);
+  const sprint = list.find(s => s.state === 'active') || list.find(s => s.state !== 'closed') || list[list.length - 1];
+  return sprint ? sprint.sprint : 1;
+}
+
+function sprintNumberFor(name) {
+  for (const num of Object.keys(sprintNames)) {
+    if (sprintNames[num] === name) return parseInt(num, 10);
+  }
+  const num = sprintNumberFromName(name);
+  return num > 0 ? num : NaN;
+}
+
+function sprintNameFor(num) {
+  if (sprintNames[num]) return sprintNames[num];
+  // Follow the naming scheme of an existing sprint, e.g. "SB Sprint 3" -> "SB Sprint 4"
+  let name = 'Sprint ' + num;
+  for (const existing of Object.values(sprintNames)) {
+    const m = /^(.*?)\d+\s*$/.exec(existing);
+    if (m) { name = m[1] + num; break; }
+  }
+  sprintNames[num] = name;
+  return name;
+}
+
+function setSprintCells(row, sprint) {
+  // Unchanged sprints keep their cells; no sprint at all reads as sprint 1
+  const current = getSprintValues(row);
+  const currentSprint = current.length > 0 ? sprintNumberFor(current[current.length - 1]) : 1;
+  if (currentSprint === sprint) return;
+
+  // Keep the sprints the issue passed through before its current one, like Jira does
+  const history = getSprintValues(row).filter(name => sprintNumberFor(name) < sprint);
+  const values = [...history, sprintNameFor(sprint)];
+
+  if (colIndices.sprints.length === 0 || values.length > colIndices.sprints.length) {
+    while (colIndices.sprints.length < values.length) {
+      csvHeaders.push('Sprint');
+      colIndices.sprints.push(csvHeaders.length - 1);
+    }
+  }
+  colIndices.sprints.forEach((idx, i) => setCell(row, idx, i < values.length ? values[i] : ''));
+}
+
+// Sub-tasks name their parent in "Parent id" (older exports) or "Parent"; stories name
+// their epic in "Custom field (Epic Link)", by key
+const PARENT_COLUMNS = ['parentId', 'parent', 'epicLink'];
+
+function getParentRef(row) {
+  for (const col of PARENT_COLUMNS) {
+    const value = getCell(row, colIndices[col]).trim();
+    if (value) return value;
+  }
+  return '';
+}
+
+// `ref` is an issue id; `keepAs` lists the other spellings of the same parent (its key)
+function setParentCells(row, ref, keepAs) {
+  const current = getParentRef(row);
+  if (current === ref || (ref && keepAs.indexOf(current) !== -1)) return;
+  PARENT_COLUMNS.forEach(col => setCell(row, colIndices[col], ''));
+  if (!ref) return;
+  let idx = colIndices.parentId >= 0 ? colIndices.parentId : colIndices.parent;
+  if (idx < 0) {
+    csvHeaders.push('Parent id');
+    idx = colIndices.parentId = csvHeaders.length - 1;
+  }
+  setCell(row, idx, ref);
+}
+
+// --- Repeated columns holding one entry per cell (work logs, comments) ---
+
+function getEntries(row, key, parse) {
+  return colIndices[key].map(idx => getCell(row, idx)).filter(text => text.trim()).map(parse);
+}
+
+// Adds "name" columns as needed; entries that are unchanged keep the text they were read with
+function setEntryCells(row, key, name, entries, parse, format) {
+  const current = colIndices[key].map(idx => getCell(row, idx)).filter(text => text.trim());
+  const values = entries.map(entry => {
+    const same = current.find(text => format(parse(text)) === format(entry));
+    return same !== undefined ? same : format(entry);
+  });
+  while (colIndices[key].length < values.length) {
+    csvHeaders.push(name);
+    colIndices[key].push(csvHeaders.length - 1);
+  }
+  colIndices[key].forEach((idx, i) => setCell(row, idx, i < values.length ? values[i] : ''));
+}
+
+// --- Time tracking (Time Spent, Remaining Estimate and repeated "Log Work" columns) ---
+
+// Jira writes each work log as "comment;started;author;seconds"; the comment may contain ";"
+function parseWorklog(text) {
+  const parts = text.split(';');
+  const seconds = parseInt(parts.pop(), 10);
+  const author = parts.length > 0 ? parts.pop().trim() : '';
+  const startedText = parts.length > 0 ? parts.pop().trim() : '';
+  const started = Fields.parseJiraDate(startedText);
+  return {
+    author: author,
+    started: started ? started.toISOString() : startedText,
+    hours: isNaN(seconds) ? 0 : seconds / 3600,
+    comment: parts.join(';'),
   };
 }
 
+function formatWorklog(log) {
+  const started = new Date(log.started);
+  return [
+    log.comment || '',
+    isNaN(started) ? log.started || '' : Fields.formatJiraDate(started),
+    log.author || '',
+    String(Math.round((log.hours || 0) * 3600)),
+  ].join(';');
+}
+
+// --- Comments (repeated "Comment" columns) ---
+
+// Jira writes each comment as "created;author;body"; the body may contain ";" and line breaks
+function parseComment(text) {
+  const parts = text.split(';');
+  const created = parts.length >= 3 ? Fields.parseJiraDate(parts[0].trim()) : null;
+  if (!created) return { created: '', author: '', body: text };
+  return { created: created.toISOString(), author: parts[1].trim(), body: parts.slice(2).join(';') };
+}
+
+function formatComment(comment) {
+  const created = new Date(comment.created);
+  if (!comment.created || isNaN(created)) return comment.body;
+  return [Fields.formatJiraDate(created), comment.author || '', comment.body].join(';');
+}
+
+// An empty Remaining Estimate means nobody set one (null); 0 means nothing is left
+function remainingFromCSV(text) {
+  return String(text || '').trim() ? Fields.estimateFromCSV(text) : null;
+}
+
+function remainingToCSV(hours, current) {
+  if (hours == null) return '';
+  if (remainingFromCSV(current) === hours) return current;
+  return String(Math.round(hours * 3600));
+}
+
+// Adds the column for `key` to the CSV the first time a value has to go there
+function ensureColumn(key, name) {
+  if (colIndices[key] < 0) {
+    csvHeaders.push(name);
+    colIndices[key] = csvHeaders.length - 1;
+  }
+  return colIndices[key];
+}
+
+function setTimeTrackingCells(row, issue) {
+  if (issue.spentHours !== undefined) {
+    const text = Fields.estimateToCSV(issue.spentHours || 0, getCell(row, colIndices.timeSpent));
+    if (text || colIndices.timeSpent >= 0) setCell(row, ensureColumn('timeSpent', 'Time Spent'), text);
+  }
+  if (issue.remainingHours !== undefined) {
+    const text = remainingToCSV(issue.remainingHours, getCell(row, colIndices.remainingEstimate));
+    if (text || colIndices.remainingEstimate >= 0) setCell(row, ensureColumn('remainingEstimate', 'Remaining Estimate'), text);
+  }
+  if (Array.isArray(issue.worklogs)) setEntryCells(row, 'worklogs', 'Log Work', issue.worklogs, parseWorklog, formatWorklog);
+}
+
 function parseDepsField(raw) {
   return raw.trim() ? raw.split(/\s*;\s*/).map(s => s.trim()).filter(Boolean) : [];
 }
 
-function csvRowToIssue(row) {
-  const estimateSec = parseInt(getCell(row, colIndices.originalEstimate), 10);
-  const estimateHours = isNaN(estimateSec) ? 0 : estimateSec / 3600;
+// Writes the dependencies as issue ids, unless the cells already name the same
+// issues (by key or id): then they keep the text they were read with
+function setDepsCells(row, issue) {
+  const deps = Array.isArray(issue.dependsOn) ? issue.dependsOn : [];
+  const keys = issue.dependsOnKeys || deps;
+  const current = [...new Set([...parseDepsField(getCell(row, colIndices.depends)),
+    ...parseDepsField(getCell(row, colIndices.finishToStart))])];
+  const same = current.length === deps.length &&
+    current.every(ref => deps.includes(ref) || keys.includes(ref)) &&
+    deps.every((dep, i) => current.includes(dep) || current.includes(keys[i]));
+  if (same) return;
+  const depsStr = deps.join('; ');
+  if (colIndices.depends >= 0) setCell(row, colIndices.depends, depsStr);
+  if (colIndices.finishToStart >= 0) setCell(row, colIndices.finishToStart, depsStr);
+}
+
+// Revision of one issue: columns added for other issues pad the row with empty
+// cells, which must not make it look changed
+function rowRevision(row) {
+  let end = row.length;
+  while (end > 0 && !String(row[end - 1] == null ? '' : row[end - 1])) end--;
+  return revisionOf(JSON.stringify(row.slice(0, end)));
+}
 
+function csvRowToIssue(row) {
   const issueId = parseInt(getCell(row, colIndices.issueId), 10);
 
   // Parse both inward issue link columns as dependencies (semicolon-separated issue IDs)
@@ -232,17 +649,31 @@ function csvRowToIssue(row) {
   const deps2 = parseDepsField(getCell(row, colIndices.finishToStart));
   const dependsOn = [...new Set([...deps1, ...deps2])];
 
+  // The last listed sprint is the one the issue currently belongs to
+  const sprintValues = getSprintValues(row);
+  const sprint = sprintValues.length > 0 ? sprintNumberFor(sprintValues[sprintValues.length - 1]) : NaN;
+
+  const column = Fields.columnForStatus(fields, getCell(row, colIndices.status));
+
   return {
     id: issueId,
+    revision: rowRevision(row),
     key: getCell(row, colIndices.issueKey),
     title: getCell(row, colIndices.summary),
+    type: getCell(row, colIndices.issueType),
+    parentId: getParentRef(row),
     description: getCell(row, colIndices.description),
-    status: mapStatusToInternal(getCell(row, colIndices.status)),
-    priority: mapPriorityToInternal(getCell(row, colIndices.priority)),
+    status: column.category,
+    column: column.id,
+    priority: Fields.priorityFromCSV(fields, getCell(row, colIndices.priority)),
     assignee: getCell(row, colIndices.assignee),
-    estimateHours: estimateHours,
+    estimateHours: Fields.estimateFromCSV(getCell(row, colIndices.originalEstimate)),
+    remainingHours: remainingFromCSV(getCell(row, colIndices.remainingEstimate)),
+    spentHours: Fields.estimateFromCSV(getCell(row, colIndices.timeSpent)),
+    worklogs: getEntries(row, 'worklogs', parseWorklog),
+    comments: getEntries(row, 'comments', parseComment),
     dependsOn: dependsOn,
-    sprint: 1,
+    sprint: isNaN(sprint) ? 1 : sprint,
     rawRow: [...row],
   };
 }
@@ -254,76 +685,180 @@ function issueToCSVRow(issue, existingRow) {
   setCell(row, colIndices.summary, issue.title);
   setCell(row, colIndices.issueKey, issue.key);
   setCell(row, colIndices.issueId, issue.id);
-  setCell(row, colIndices.status, mapStatusToCSV(issue.status));
-  setCell(row, colIndices.priority, mapPriorityToCSV(issue.priority));
+  if (issue.type !== undefined) setCell(row, colIndices.issueType, issue.type);
+  setParentCells(row, issue.parentRef || '', issue.parentKey ? [issue.parentKey] : []);
+  setCell(row, colIndices.status, Fields.statusToCSV(fields, issue, getCell(row, colIndices.status)));
+  setCell(row, colIndices.priority, Fields.priorityToCSV(fields, issue.priority, getCell(row, colIndices.priority)));
   setCell(row, colIndices.assignee, issue.assignee || '');
   setCell(row, colIndices.description, issue.description || '');
-  setCell(row, colIndices.originalEstimate, issue.estimateHours ? Math.round(issue.estimateHours * 3600) : '');
-  const depsStr = Array.isArray(issue.dependsOn) ? issue.dependsOn.join('; ') : '';
-  if (colIndices.depends >= 0) {
-    setCell(row, colIndices.depends, depsStr);
-  }
-  if (colIndices.finishToStart >= 0) {
-    setCell(row, colIndices.finishToStart, depsStr);
-  }
+  setCell(row, colIndices.originalEstimate,
+    Fields.estimateToCSV(issue.estimateHours, getCell(row, colIndices.originalEstimate)));
+  setTimeTrackingCells(row, issue);
+  if (Array.isArray(issue.comments)) setEntryCells(row, 'comments', 'Comment', issue.comments, parseComment, formatComment);
+  setDepsCells(row, issue);
+  setSprintCells(row, issue.sprint || 1);
   return row;
 }
 
 // --- Read / Write ---
 
+// Convert dependency refs (issue keys or ids) to issue ids. Refs matching no issue
+// are kept verbatim in unresolvedDeps so they are reported and survive a save.
+function resolveDeps(issue, refs, issues) {
+  const keyToId = {};
+  const ids = new Set();
+  issues.forEach(i => { keyToId[i.key] = i.id; ids.add(i.id); });
+  issue.dependsOn = [];
+  issue.unresolvedDeps = [];
+  refs.forEach(ref => {
+    const id = keyToId[ref] || parseInt(ref, 10);
+    if (ids.has(id)) {
+      if (issue.dependsOn.indexOf(id) === -1) issue.dependsOn.push(id);
+    } else {
+      issue.unresolvedDeps.push(ref);
+    }
+  });
+}
+
+// Like resolveDeps, for the parent (epic or issue of a sub-task)
+function resolveParent(issue, ref, issues) {
+  const parent = ref ? issues.find(i => i.key === ref || String(i.id) === ref) : null;
+  issue.parentId = parent && parent !== issue ? parent.id : null;
+  if (ref && !issue.parentId) issue.unresolvedParent = ref;
+  else delete issue.unresolvedParent;
+}
+
+function rowsToIssues(rows) {
+  const issues = rows.map(csvRowToIssue).filter(i => !isNaN(i.id));
+  issues.forEach(i => {
+    resolveDeps(i, i.dependsOn, issues);
+    resolveParent(i, i.parentId, issues);
+  });
+  return issues;
+}
+
+// New issues are reported and created by the logged-in user
+function stampCreator(row) {
+  if (!user) return;
+  const reporter = ensureColumn('reporter', 'Reporter');
+  const creator = ensureColumn('creator', 'Creator');
+  if (!getCell(row, reporter)) setCell(row, reporter, user.name || user.login);
+  if (!getCell(row, creator)) setCell(row, creator, user.name || user.login);
+}
+
+// Fill in the Created/Updated/Resolved columns the way Jira would
+function stampDates(row, previous, now) {
+  if (!previous.row) {
+    if (!getCell(row, colIndices.created)) setCell(row, colIndices.created, Fields.formatJiraDate(now));
+    setCell(row, colIndices.updated, Fields.formatJiraDate(now));
+    if (previous.status !== 'done' && csvRowToIssue(row).status === 'done') {
+      setCell(row, colIndices.resolved, Fields.formatJiraDate(now));
+    }
+    return;
+  }
+  const width = Math.max(row.length, previous.row.length);
+  let changed = false;
+  for (let i = 0; i < width && !changed; i++) {
+    if (i !== colIndices.updated && getCell(row, i) !== getCell(previous.row, i)) changed = true;
+  }
+  if (!changed) return;
+  setCell(row, colIndices.updated, Fields.formatJiraDate(now));
+  const status = csvRowToIssue(row).status;
+  if (status === 'done' && previous.status !== 'done') {
+    setCell(row, colIndices.resolved, Fields.formatJiraDate(now));
+  } else if (status !== 'done' && previous.status === 'done') {
+    setCell(row, colIndices.resolved, '');
+  }
+}
+
+// Every board writes the header row, so a CSV without one was cut short or is not ours
+function tasksCSVProblem(parsed) {
+  if (parsed.headers.length === 0) return 'the file is empty';
+  if (findColIndex(parsed.headers, 'Issue id') < 0) return 'there is no "Issue id" column';
+  return null;
+}
+
 function readTasks() {
+  const config = readConfig();
+  fields = Fields.configure(config);
   try {
-    const data = fs.readFileSync(TASKS_FILE, 'utf8');
+    const data = fs.readFileSync(project.tasksFile, 'utf8');
+    const revision = revisionOf(data);
     const parsed = parseCSV(data);
+    const problem = tasksCSVProblem(parsed);
+    if (problem) throw damagedFile(project.tasksFile, problem);
     csvHeaders = parsed.headers;
     csvDataRows = parsed.dataRows;
     buildColIndices(csvHeaders);
+    sprintNames = buildSprintNames(csvDataRows, configuredSprintNames(config));
 
-    const issues = csvDataRows.map(csvRowToIssue).filter(i => !isNaN(i.id));
+    const issues = rowsToIssues(csvDataRows);
     const maxId = issues.reduce((m, i) => Math.max(m, i.id), 0);
+    const sprintCount = Math.max(0, ...issues.map(i => i.sprint || 1), ...Object.keys(sprintNames).map(Number),
+      ...Object.keys(config.sprints || {}).map(Number).filter(n => n > 0));
+    const sprints = buildSprints(config, sprintNames, sprintCount);
 
-    // Derive projectKey from first issue's key
-    let projectKey = 'SB';
-    if (issues.length > 0 && issues[0].key) {
+    // Derive projectKey from first issue's key, unless projects.conf gives one
+    let projectKey = project.key || 'SB';
+    if (!project.key && issues.length > 0 && issues[0].key) {
       const dash = issues[0].key.lastIndexOf('-');
       if (dash > 0) projectKey = issues[0].key.substring(0, dash);
     }
 
-    // Convert dependsOn from issue keys to issue ids
-    const keyToId = {};
-    issues.forEach(i => { keyToId[i.key] = i.id; });
-    issues.forEach(i => {
-      i.dependsOn = i.dependsOn
-        .map(dep => keyToId[dep] || parseInt(dep, 10))
-        .filter(d => !isNaN(d));
-    });
-
     return {
+      revision: revision,
       nextId: maxId + 1,
       projectKey: projectKey,
-      sprintStart: '2026-02-15',
+      sprintStart: sprints[1] ? sprints[1].start : DEFAULT_SPRINT_START,
+      sprintLength: sprintLength(config),
+      sprints: sprints,
+      activeSprint: activeSprintOf(sprints),
       teamCapacity: {},
+      sprintNames: { ...sprintNames },
+      fields: fields,
       issues: issues,
       csvHeaders: csvHeaders,
     };
   } catch (e) {
-    return { nextId: 1, projectKey: 'SB', sprintStart: '2026-02-15', teamCapacity: {}, issues: [] };
+    if (e instanceof ApiError) throw e;
+    if (e.code !== 'ENOENT') throw damagedFile(project.tasksFile, e.message);
+    // No CSV yet: don't let writeTasks() reuse the rows of another project
+    csvHeaders = [];
+    csvDataRows = [];
+    sprintNames = {};
+    const sprints = buildSprints(config, configuredSprintNames(config), Object.keys(config.sprints || {}).length);
+    return {
+      revision: revisionOf(''), nextId: 1, projectKey: project.key || 'SB',
+      sprintStart: isISODate(config.sprintStart) ? config.sprintStart : DEFAULT_SPRINT_START,
+      sprintLength: sprintLength(config), sprints: sprints, activeSprint: activeSprintOf(sprints),
+      teamCapacity: {}, sprintNames: configuredSprintNames(config), fields: fields, issues: [],
+    };
   }
 }
 
-function writeTasks(state) {
+// `meta` marks undo/redo writes ({ undoOf: txn } / { redoOf: txn }) in the change history
+function writeTasks(state, meta) {
   // If no headers loaded yet, initialize with minimal headers
   if (csvHeaders.length === 0) {
     csvHeaders = ['Summary', 'Issue key', 'Issue id', 'Issue Type', 'Status', 'Project key',
       'Project name', 'Project type', 'Project lead', 'Project description', 'Project url',
       'Priority', 'Resolution', 'Assignee', 'Reporter', 'Creator', 'Created', 'Updated',
       'Last Viewed', 'Resolved', 'Affects Version/s', 'Fix Version/s', 'Component/s',
-      'Due Date', 'Votes', 'Description',
+      'Due Date', 'Votes', 'Description', 'Sprint',
       'Inward issue link (Depends)', 'Inward issue link (Finish to Start)'];
     buildColIndices(csvHeaders);
     csvDataRows = [];
   }
 
+  // Sprint names known to the client (covers writes before any CSV was read)
+  if (state.sprintNames) {
+    Object.keys(state.sprintNames).forEach(num => {
+      if (state.sprintNames[num]) sprintNames[num] = state.sprintNames[num];
+    });
+  }
+
+  const previousIssues = rowsToIssues(csvDataRows);
+
   // Build a map of existing CSV rows by Issue id
   const existingById = {};
   csvDataRows.forEach(row => {
@@ -331,22 +866,25 @@ function writeTasks(state) {
     if (!isNaN(id)) existingById[id] = row;
   });
 
-  // Keep dependsOn as issue IDs for CSV storage (semicolon-separated)
+  // Keep dependsOn as issue IDs for CSV storage (semicolon-separated),
+  // followed by any refs that did not match an issue when read
+  // and the parent as its issue id (unchanged dependencies and parents keep the keys they were written with)
+  const keysById = {};
+  state.issues.forEach(i => { keysById[i.id] = i.key; });
+  const unresolvedDeps = i => (Array.isArray(i.unresolvedDeps) ? i.unresolvedDeps : []);
   const issuesForCSV = state.issues.map(i => ({
     ...i,
     dependsOn: (Array.isArray(i.dependsOn) ? i.dependsOn : [])
-      .map(depId => String(depId)),
+      .map(depId => String(depId))
+      .concat(unresolvedDeps(i)),
+    dependsOnKeys: (Array.isArray(i.dependsOn) ? i.dependsOn : [])
+      .map(depId => keysById[depId] || String(depId))
+      .concat(unresolvedDeps(i)),
+    parentRef: i.parentId ? String(i.parentId) : (i.unresolvedParent || ''),
+    parentKey: i.parentId ? keysById[i.parentId] : null,
   }));
 
-  // Update existing rows and collect new ones
-  const updatedIds = new Set();
-  const newRows = [];
-
-  for (const issue of issuesForCSV) {
-    updatedIds.add(issue.id);
-    const existingRow = existingById[issue.id];
-    newRows.push(issueToCSVRow(issue, existingRow));
-  }
+  const updatedIds = new Set(issuesForCSV.map(i => i.id));
 
   // Keep order: existing rows that are still present (in original order), then new rows at end
   const orderedRows = [];
@@ -368,113 +906,2388 @@ function writeTasks(state) {
     }
   }
 
+  const now = new Date();
+  const previousById = {};
+  previousIssues.forEach(i => { previousById[i.id] = i; });
+  orderedRows.forEach(row => {
+    const id = parseInt(getCell(row, colIndices.issueId), 10);
+    const previous = previousById[id];
+    if (!existingById[id]) stampCreator(row);
+    stampDates(row, { row: existingById[id], status: previous ? previous.status : null }, now);
+  });
+
   csvDataRows = orderedRows;
-  fs.writeFileSync(TASKS_FILE, serializeCSV(csvHeaders, csvDataRows));
-}
+  const text = serializeCSV(csvHeaders, csvDataRows);
+  backUp(project.tasksFile);
+  writeFileAtomic(project.tasksFile, text);
+  knownRevisions[project.tasksFile] = revisionOf(text);
 
-// --- HTTP Server ---
+  recordHistory(diffIssues(previousIssues, rowsToIssues(csvDataRows)), now, meta);
+}
 
-const server = http.createServer((req, res) => {
-  if (req.method === 'GET' && (req.url === '/' || req.url === '/index.html')) {
-    fs.readFile(INDEX_FILE, (err, data) => {
-      if (err) {
-        res.writeHead(500, { 'Content-Type': 'text/plain' });
-        res.end('Error reading index.html');
-        return;
-      }
-      res.writeHead(200, { 'Content-Type': 'text/html' });
-      res.end(data);
-    });
-    return;
+// --- Change history + undo/redo ---
+
+// Issue properties whose changes are logged (and reverted by undo)
+const HISTORY_FIELDS = ['title', 'type', 'status', 'column', 'priority', 'assignee', 'estimateHours', 'sprint',
+  'dependsOn', 'parentId', 'remainingHours', 'spentHours', 'worklogs', 'comments'];
+
+function trackTransaction(txn, meta) {
+  if (meta && meta.undoOf) {
+    project.undoStack = project.undoStack.filter(t => t !== meta.undoOf);
+    project.redoStack.push(meta.undoOf);
+  } else if (meta && meta.redoOf) {
+    project.redoStack = project.redoStack.filter(t => t !== meta.redoOf);
+    project.undoStack.push(meta.redoOf);
+  } else {
+    project.undoStack.push(txn);
+    project.redoStack = [];
   }
+}
 
-  if (req.method === 'GET' && req.url === '/replan.js') {
-    fs.readFile(REPLAN_FILE, (err, data) => {
-      if (err) {
-        res.writeHead(500, { 'Content-Type': 'text/plain' });
-        res.end('Error reading replan.js');
-        return;
-      }
-      res.writeHead(200, { 'Content-Type': 'application/javascript' });
-      res.end(data);
-    });
-    return;
+function loadHistory() {
+  if (project.historyEntries) return project.historyEntries;
+  project.historyEntries = [];
+  let text = '';
+  try {
+    text = fs.readFileSync(project.historyFile, 'utf8');
+  } catch (e) {
+    // No history yet
   }
+  text.split('\n').filter(Boolean).forEach(line => {
+    try {
+      project.historyEntries.push(JSON.parse(line));
+    } catch (e) {
+      // Skip a line left half-written by a crash
+    }
+  });
+  // Rebuild the undo/redo stacks by replaying the log
+  const seen = new Set();
+  project.historyEntries.forEach(entry => {
+    if (seen.has(entry.txn)) return;
+    seen.add(entry.txn);
+    trackTransaction(entry.txn, entry);
+  });
+  return project.historyEntries;
+}
 
-  if (req.method === 'GET' && req.url === '/api/tasks') {
-    const state = readTasks();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(state));
-    return;
-  }
+function snapshotIssue(issue) {
+  const { revision, ...snapshot } = issue;
+  return snapshot;
+}
 
-  if (req.method === 'PUT' && req.url === '/api/tasks') {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
-      try {
-        const state = JSON.parse(body);
-        writeTasks(state);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
-      } catch (e) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+function diffIssues(before, after) {
+  const entries = [];
+  const beforeById = new Map(before.map(i => [i.id, i]));
+  const afterIds = new Set();
+  after.forEach(issue => {
+    afterIds.add(issue.id);
+    const old = beforeById.get(issue.id);
+    if (!old) {
+      entries.push({ issueId: issue.id, key: issue.key, action: 'create', issue: snapshotIssue(issue) });
+      return;
+    }
+    const changes = {};
+    HISTORY_FIELDS.forEach(field => {
+      if (JSON.stringify(old[field]) !== JSON.stringify(issue[field])) {
+        changes[field] = { from: old[field], to: issue[field] };
       }
     });
-    return;
-  }
+    if (Object.keys(changes).length > 0) {
+      entries.push({ issueId: issue.id, key: issue.key, action: 'update', changes: changes });
+    }
+  });
+  before.forEach(old => {
+    if (!afterIds.has(old.id)) {
+      entries.push({ issueId: old.id, key: old.key, action: 'delete', issue: snapshotIssue(old) });
+    }
+  });
+  return entries;
+}
 
-  if (req.method === 'GET' && req.url === '/api/config') {
-    const config = readConfig();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(config));
-    return;
+function recordHistory(entries, now, meta) {
+  if (entries.length === 0) {
+    if (!meta) return;
+    // An undo/redo that found nothing left to change still has to move the stacks
+    entries = [{ action: meta.undoOf ? 'undo' : 'redo' }];
   }
+  const history = loadHistory();
+  const txn = history.reduce((m, e) => Math.max(m, e.txn), 0) + 1;
+  const lines = entries.map(entry => {
+    const full = { txn: txn, at: now.toISOString(), ...(user ? { by: user.name || user.login } : {}), ...entry, ...meta };
+    history.push(full);
+    return JSON.stringify(full) + '\n';
+  });
+  fs.appendFileSync(project.historyFile, lines.join(''));
+  trackTransaction(txn, meta);
+  broadcast('history', historyStatus());
+}
 
-  if (req.method === 'PUT' && req.url === '/api/config') {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
-      try {
-        const config = JSON.parse(body);
-        writeConfig(config);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
-      } catch (e) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
-      }
-    });
-    return;
-  }
+function historyStatus() {
+  loadHistory();
+  return { canUndo: project.undoStack.length > 0, canRedo: project.redoStack.length > 0 };
+}
+
+// Re-applies (redo) or reverts (undo) every issue change of one transaction
+function applyTransaction(txn, direction) {
+  const entries = loadHistory().filter(e => e.txn === txn && !e.undoOf && !e.redoOf);
+  const state = readTasks();
+  const ordered = direction === 'undo' ? [...entries].reverse() : entries;
+  ordered.forEach(entry => {
+    const existing = state.issues.find(i => i.id === entry.issueId);
+    if (entry.action === 'update') {
+      if (!existing) return;
+      Object.keys(entry.changes).forEach(field => {
+        existing[field] = entry.changes[field][direction === 'undo' ? 'from' : 'to'];
+      });
+    } else if ((entry.action === 'create') === (direction === 'undo')) {
+      state.issues = state.issues.filter(i => i.id !== entry.issueId);
+    } else if (!existing) {
+      state.issues.push({ ...entry.issue });
+    }
+  });
+  writeTasks(state, direction === 'undo' ? { undoOf: txn } : { redoOf: txn });
+}
+
+function undo() {
+  loadHistory();
+  if (project.undoStack.length === 0) throw new ApiError(409, 'Nothing to undo');
+  applyTransaction(project.undoStack[project.undoStack.length - 1], 'undo');
+}
+
+function redo() {
+  loadHistory();
+  if (project.redoStack.length === 0) throw new ApiError(409, 'Nothing to redo');
+  applyTransaction(project.redoStack[project.redoStack.length - 1], 'redo');
+}
+
+function issueHistory(issueId) {
+  return loadHistory()
+    .filter(e => e.issueId === issueId)
+    .map(({ issue, ...entry }) => entry)
+    .reverse();
+}
+
+// --- Sprint reports (burndown + velocity) ---
+
+function localDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+}
+
+/**
+ * When each done issue was completed: its last change to done recorded in
+ * history.log, otherwise the CSV Resolved column.
+ */
+function completionTimes(issues) {
+  const fromHistory = new Map();
+  loadHistory().forEach(entry => {
+    let status = null;
+    if (entry.action === 'update' && entry.changes && entry.changes.status) status = entry.changes.status.to;
+    if (entry.action === 'create' && entry.issue) status = entry.issue.status;
+    if (status === 'done') fromHistory.set(entry.issueId, new Date(entry.at));
+    else if (status) fromHistory.delete(entry.issueId);
+  });
+
+  const times = new Map();
+  issues.forEach(issue => {
+    if (issue.status !== 'done') return;
+    const at = fromHistory.get(issue.id) || Fields.parseJiraDate(getCell(issue.rawRow, colIndices.resolved));
+    if (at) times.set(issue.id, at);
+  });
+  return times;
+}
+
+/**
+ * Per sprint: committed, completed and available hours, plus the remaining
+ * estimate at the end of each day (null for days still to come).
+ */
+function sprintReports(state, team, now) {
+  const completed = completionTimes(state.issues);
+  const members = [...new Set(state.issues.map(i => i.assignee).filter(Boolean))];
+  const sprints = [...new Set(state.issues.map(i => i.sprint || 1))].sort((a, b) => a - b);
+
+  return sprints.map(sprint => {
+    const issues = state.issues.filter(i => (i.sprint || 1) === sprint);
+    const { start, end } = Calendar.sprintRange(state, sprint);
+
+    const committedHours = issues.reduce((sum, i) => sum + (i.estimateHours || 0), 0);
+    const completedHours = issues
+      .filter(i => i.status === 'done')
+      .reduce((sum, i) => sum + (i.estimateHours || 0), 0);
+    const capacityHours = members.reduce((sum, m) => sum + Calendar.capacity(team, sprint, m, { start, end }), 0);
+
+    const burndown = [];
+    const days = Math.round((end - start) / 86400000) + 1;
+    for (let day = 0; day < days; day++) {
+      const date = new Date(start);
+      date.setDate(date.getDate() + day);
+      const dayEnd = new Date(date);
+      dayEnd.setDate(dayEnd.getDate() + 1);
+      let remaining = null;
+      if (date <= now) {
+        remaining = issues
+          .filter(i => {
+            const at = completed.get(i.id);
+            return !at || at >= dayEnd;
+          })
+          .reduce((sum, i) => sum + (i.estimateHours || 0), 0);
+      }
+      burndown.push({ date: localDate(date), remaining: remaining });
+    }
+
+    return {
+      sprint: sprint,
+      name: state.sprintNames[sprint] || 'Sprint ' + sprint,
+      start: localDate(start),
+      end: localDate(end),
+      committedHours: committedHours,
+      completedHours: completedHours,
+      capacityHours: capacityHours,
+      burndown: burndown,
+    };
+  });
+}
+
+// --- Sprint exports (Markdown / HTML report, iCalendar feed) ---
+
+function plural(n, word) {
+  return n + ' ' + word + (n === 1 ? '' : 's');
+}
+
+function formatDateRange(range) {
+  const day = d => Fields.MONTHS[d.getMonth()] + ' ' + d.getDate();
+  return day(range.start) + ' \u2013 ' + day(range.end) + ', ' + range.end.getFullYear();
+}
+
+/** What a sprint report shows, independent of the output format. */
+function sprintSummary(state, team, sprint) {
+  const issues = state.issues.filter(i => (i.sprint || 1) === sprint);
+  const byId = new Map(state.issues.map(i => [i.id, i]));
+  const columnName = id => (Fields.findColumn(fields, id) || { name: id }).name;
+
+  const columns = fields.workflow.columns
+    .map(column => ({ name: column.name, issues: issues.filter(i => i.column === column.id) }))
+    .filter(column => column.issues.length > 0);
+
+  const members = [...new Set(state.issues.map(i => i.assignee).filter(Boolean))].sort();
+  const range = Calendar.sprintRange(state, sprint);
+  const load = members.map(name => ({
+    name: name,
+    hours: issues.filter(i => i.assignee === name).reduce((sum, i) => sum + Replan.plannedHours(i), 0),
+    capacity: Calendar.capacity(team, sprint, name, range),
+  })).filter(m => m.hours > 0 || m.capacity > 0);
+  const unassigned = issues.filter(i => !i.assignee).reduce((sum, i) => sum + Replan.plannedHours(i), 0);
+
+  // Dependencies that matter for this sprint: blockers not done yet, and broken links
+  const notes = [];
+  issues.forEach(issue => {
+    (issue.dependsOn || []).forEach(depId => {
+      const dep = byId.get(depId);
+      if (!dep || dep.status === 'done' || issue.status === 'done') return;
+      const where = (dep.sprint || 1) > sprint ? ', planned for ' + (state.sprintNames[dep.sprint] || 'Sprint ' + dep.sprint)
+        : (dep.sprint || 1) < sprint ? ', still open from ' + (state.sprintNames[dep.sprint] || 'Sprint ' + dep.sprint) : '';
+      notes.push(issue.key + ' is blocked by ' + dep.key + ' (' + columnName(dep.column) + where + ')');
+    });
+    (issue.unresolvedDeps || []).forEach(ref => {
+      const other = projectOfRef(ref);
+      notes.push(issue.key + ' depends on ' + ref + (other ? ' in ' + (other.name || other.key) : ', which matches no issue'));
+    });
+  });
+  Replan.validate(state.issues).cycles
+    .filter(c => c.ids.some(id => issues.some(i => i.id === id)))
+    .forEach(c => notes.push('Dependency cycle: ' + c.keys.join(' \u2192 ')));
+
+  return {
+    sprint: sprint,
+    name: state.sprintNames[sprint] || 'Sprint ' + sprint,
+    dates: formatDateRange(Calendar.sprintRange(state, sprint)),
+    issueCount: issues.length,
+    committedHours: issues.reduce((sum, i) => sum + (i.estimateHours || 0), 0),
+    doneHours: issues.filter(i => i.status === 'done').reduce((sum, i) => sum + (i.estimateHours || 0), 0),
+    columns: columns,
+    load: load,
+    unassignedHours: unassigned,
+    notes: notes,
+  };
+}
+
+function issueLine(issue) {
+  const details = [issue.assignee || 'Unassigned', Fields.PRIORITY_LABELS[issue.priority]];
+  if (issue.estimateHours) details.push(issue.estimateHours + 'h');
+  return { key: issue.key, title: issue.title, details: details.join(', ') };
+}
+
+function sprintMarkdown(summary) {
+  const escape = text => String(text).replace(/([\\`*_[\]|<>])/g, '\\$1');
+  const lines = [
+    '# ' + escape(summary.name),
+    '',
+    summary.dates + ' \u00b7 ' + plural(summary.issueCount, 'issue') + ' \u00b7 ' + summary.committedHours + 'h committed, ' +
+      summary.doneHours + 'h done',
+  ];
+  summary.columns.forEach(column => {
+    lines.push('', '## ' + escape(column.name), '');
+    column.issues.map(issueLine).forEach(l => lines.push('- **' + l.key + '** ' + escape(l.title) + ' \u2014 ' + escape(l.details)));
+  });
+  lines.push('', '## Team', '', '| Member | Assigned | Capacity |', '| --- | ---: | ---: |');
+  summary.load.forEach(m => {
+    lines.push('| ' + escape(m.name) + ' | ' + (m.hours > m.capacity ? '**' + m.hours + 'h**' : m.hours + 'h') + ' | ' + m.capacity + 'h |');
+  });
+  if (summary.unassignedHours > 0) lines.push('| Unassigned | ' + summary.unassignedHours + 'h | |');
+  if (summary.notes.length > 0) {
+    lines.push('', '## Dependencies', '');
+    summary.notes.forEach(note => lines.push('- ' + escape(note)));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function sprintHtml(summary) {
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8"><title>' + escapeHtml(summary.name) + '</title>',
+    '<style>',
+    'body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#172b4d;max-width:800px;margin:32px auto;padding:0 16px}',
+    'h1{margin-bottom:4px}.meta{color:#6b778c;margin-top:0}h2{font-size:16px;border-bottom:1px solid #dfe1e6;padding-bottom:4px;margin-top:24px}',
+    'ul{padding-left:20px}li{margin:4px 0}.key{font-weight:600;color:#0052cc}.details{color:#6b778c}',
+    'table{border-collapse:collapse}th,td{text-align:left;padding:4px 12px 4px 0}td.num{text-align:right}.over{color:#de350b;font-weight:600}',
+    '</style></head><body>',
+    '<h1>' + escapeHtml(summary.name) + '</h1>',
+    '<p class="meta">' + escapeHtml(summary.dates) + ' &middot; ' + plural(summary.issueCount, 'issue') + ' &middot; ' +
+      summary.committedHours + 'h committed, ' + summary.doneHours + 'h done</p>',
+  ];
+  summary.columns.forEach(column => {
+    parts.push('<h2>' + escapeHtml(column.name) + '</h2><ul>');
+    column.issues.map(issueLine).forEach(l => {
+      parts.push('<li><span class="key">' + escapeHtml(l.key) + '</span> ' + escapeHtml(l.title) +
+        ' <span class="details">\u2014 ' + escapeHtml(l.details) + '</span></li>');
+    });
+    parts.push('</ul>');
+  });
+  parts.push('<h2>Team</h2><table><tr><th>Member</th><th>Assigned</th><th>Capacity</th></tr>');
+  summary.load.forEach(m => {
+    parts.push('<tr><td>' + escapeHtml(m.name) + '</td><td class="num' + (m.hours > m.capacity ? ' over' : '') + '">' +
+      m.hours + 'h</td><td class="num">' + m.capacity + 'h</td></tr>');
+  });
+  if (summary.unassignedHours > 0) parts.push('<tr><td>Unassigned</td><td class="num">' + summary.unassignedHours + 'h</td><td></td></tr>');
+  parts.push('</table>');
+  if (summary.notes.length > 0) {
+    parts.push('<h2>Dependencies</h2><ul>');
+    summary.notes.forEach(note => parts.push('<li>' + escapeHtml(note) + '</li>'));
+    parts.push('</ul>');
+  }
+  parts.push('</body></html>');
+  return parts.join('\n') + '\n';
+}
+
+// iCalendar text values escape backslashes, commas, semicolons and newlines;
+// lines longer than 75 octets are folded
+function icsText(text) {
+  return String(text).replace(/[\\,;]/g, '\\$&').replace(/\n/g, '\\n');
+}
+
+function icsFold(line) {
+  const out = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (out.length === 0 ? 75 : 74)) {
+      out.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+/** One all-day event per sprint, so sprint boundaries show up in calendar apps. */
+function sprintCalendar(state, now) {
+  const day = d => localDate(d).replace(/-/g, '');
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const sprints = [...new Set(state.issues.map(i => i.sprint || 1)
+    .concat(Object.keys(state.sprintNames).map(Number)))].sort((a, b) => a - b);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//tinyjira//Sprint Board//EN', 'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:' + icsText(state.projectKey + ' sprints')];
+  sprints.forEach(sprint => {
+    const range = Calendar.sprintRange(state, sprint);
+    const end = new Date(range.end);
+    end.setDate(end.getDate() + 1); // DTEND of an all-day event is exclusive
+    const issues = state.issues.filter(i => (i.sprint || 1) === sprint);
+    const hours = issues.reduce((sum, i) => sum + (i.estimateHours || 0), 0);
+    lines.push(
+      'BEGIN:VEVENT',
+      'UID:sprint-' + sprint + '-' + state.projectKey.toLowerCase() + '@tinyjira',
+      'DTSTAMP:' + stamp,
+      'DTSTART;VALUE=DATE:' + day(range.start),
+      'DTEND;VALUE=DATE:' + day(end),
+      'SUMMARY:' + icsText(state.sprintNames[sprint] || 'Sprint ' + sprint),
+      'DESCRIPTION:' + icsText(plural(issues.length, 'issue') + ', ' + hours + 'h committed'),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// --- Cross-project view (dependencies between issues of different projects) ---
+
+// Issue keys in another project's CSV, read without touching the current project's store
+function projectIssueKeys(p) {
+  try {
+    const parsed = parseCSV(fs.readFileSync(p.tasksFile, 'utf8'));
+    const idx = findColIndex(parsed.headers, 'Issue key');
+    return new Set(parsed.dataRows.map(row => getCell(row, idx)).filter(Boolean));
+  } catch (e) {
+    return new Set();
+  }
+}
+
+function linkEnd(p, state, issue) {
+  const sprint = issue.sprint || 1;
+  const range = Calendar.sprintRange(state, sprint);
+  return {
+    project: p.key, id: issue.id, key: issue.key, title: issue.title, status: issue.status,
+    column: issue.column, assignee: issue.assignee, sprint: sprint,
+    sprintName: state.sprintNames[sprint] || 'Sprint ' + sprint,
+    sprintStart: localDate(range.start), sprintEnd: localDate(range.end),
+  };
+}
+
+// A dependency on another project's issue is kept in the CSV by its key, like any
+// ref matching no issue of the project. Links are late when the dependency's sprint
+// starts after the dependent's, going by the dates of each project's own sprints.
+function crossProjectDependencies() {
+  const current = project;
+  const boards = projects.map(p => {
+    useProject(p);
+    return { project: p, state: readTasks() };
+  });
+  useProject(current);
+
+  const byKey = new Map();
+  boards.forEach(board => board.state.issues.forEach(issue => byKey.set(issue.key, { board, issue })));
+  const links = [];
+  boards.forEach(board => board.state.issues.forEach(issue => {
+    (issue.unresolvedDeps || []).forEach(ref => {
+      const dep = byKey.get(ref);
+      if (!dep || dep.board === board) return;
+      const from = linkEnd(board.project, board.state, issue);
+      const to = linkEnd(dep.board.project, dep.board.state, dep.issue);
+      const open = from.status !== 'done' && to.status !== 'done';
+      links.push({ from: from, to: to, late: open && to.sprintStart > from.sprintStart });
+    });
+  }));
+
+  return {
+    projects: boards.map(board => ({
+      ...projectInfo(board.project),
+      issues: board.state.issues.length,
+      currentSprint: board.state.sprints[board.state.activeSprint] || null,
+    })),
+    links: links,
+  };
+}
+
+// --- Live updates (Server-Sent Events + file watching) ---
+
+const eventClients = new Map(); // response -> project it follows
+const knownRevisions = {}; // file -> revision of the content last written or announced
+
+function handleEvents(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  res.write(': connected\n\n');
+  eventClients.set(res, project);
+  req.on('close', () => { eventClients.delete(res); });
+}
+
+// Goes to the boards showing the current project
+function broadcast(type, data) {
+  const message = 'event: ' + type + '\ndata: ' + JSON.stringify(data) + '\n\n';
+  for (const [res, followed] of eventClients) {
+    if (followed === project) res.write(message);
+  }
+}
+
+// Keep idle connections from being dropped by proxies
+setInterval(() => {
+  for (const res of eventClients.keys()) res.write(': ping\n\n');
+}, 25000).unref();
+
+// Picks up edits made outside the server, e.g. tasks.csv saved from a spreadsheet.
+// Polling survives editors that replace the file instead of writing in place.
+function watchForExternalChanges(file, announce) {
+  const watched = project;
+  try {
+    knownRevisions[file] = revisionOf(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    // File does not exist yet
+  }
+  fs.watchFile(file, { interval: 1000 }, () => {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      return;
+    }
+    const revision = revisionOf(text);
+    if (knownRevisions[file] === revision) return;
+    knownRevisions[file] = revision;
+    useProject(watched);
+    try {
+      announce();
+    } catch (e) {
+      console.error(e.message);
+    }
+  });
+}
+
+// --- Issue API helpers ---
+
+const VALID_STATUSES = Fields.CATEGORIES;
+const VALID_PRIORITIES = Fields.PRIORITIES;
+
+// CSV columns that are mirrored by a mapped issue property
+const COLUMN_TO_PROPERTY = {
+  'Summary': 'title',
+  'Issue key': 'key',
+  'Issue Type': 'type',
+  'Parent id': 'parentId',
+  'Parent': 'parentId',
+  'Custom field (Epic Link)': 'parentId',
+  'Status': 'status',
+  'Priority': 'priority',
+  'Assignee': 'assignee',
+  'Description': 'description',
+  'Original Estimate': 'estimateHours',
+  'Remaining Estimate': 'remainingHours',
+  'Time Spent': 'spentHours',
+  'Log Work': 'worklogs',
+  'Comment': 'comments',
+  'Sprint': 'sprint',
+  'Inward issue link (Depends)': 'dependsOn',
+  'Inward issue link (Finish to Start)': 'dependsOn',
+};
+
+class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function sendJSON(res, status, data, headers) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+function etag(revision) {
+  return { 'ETag': '"' + revision + '"' };
+}
+
+// Revision the client based its edit on, from If-Match (or null when not sent)
+function ifMatchRevision(req) {
+  const header = req.headers['if-match'];
+  if (!header || header === '*') return null;
+  return header.replace(/^W\//, '').replace(/"/g, '').trim();
+}
+
+function readJSONBody(req, res, callback) {
+  const requestProject = project;
+  const requestUser = user;
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    useProject(requestProject);
+    user = requestUser;
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      sendJSON(res, 400, { error: 'Invalid JSON' });
+      return;
+    }
+    try {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ApiError(422, 'Expected a JSON object');
+      }
+      callback(data);
+    } catch (e) {
+      if (!(e instanceof ApiError)) {
+        console.error(e);
+        sendJSON(res, 500, { error: 'Internal error' });
+        return;
+      }
+      sendJSON(res, e.status, { error: e.message, ...e.details });
+    }
+  });
+}
+
+function checkIssueRevision(req, issue) {
+  const expected = ifMatchRevision(req);
+  if (expected && expected !== issue.revision) {
+    throw new ApiError(409, 'Issue ' + issue.key + ' was changed by someone else', { issue: issue });
+  }
+}
+
+// Issues can be addressed by Issue id or by Issue key
+function findIssue(state, ref) {
+  return state.issues.find(i => String(i.id) === ref || i.key === ref);
+}
+
+// Re-derive mapped properties from CSV cells that were set through `fields` or `rawRow`
+function syncIssueFromRow(state, issue, columns) {
+  const parsed = csvRowToIssue(issue.rawRow);
+  columns.forEach(name => {
+    const prop = COLUMN_TO_PROPERTY[name];
+    if (!prop) return;
+    if (prop === 'dependsOn') {
+      resolveDeps(issue, parsed.dependsOn, state.issues);
+    } else if (prop === 'parentId') {
+      resolveParent(issue, parsed.parentId, state.issues);
+    } else if (prop === 'sprint') {
+      // An empty Sprint column leaves the current sprint alone
+      if (getSprintValues(issue.rawRow).length > 0) issue.sprint = parsed.sprint;
+    } else if (prop === 'key' || prop === 'title') {
+      if (parsed[prop]) issue[prop] = parsed[prop];
+    } else if (prop === 'status') {
+      issue.status = parsed.status;
+      issue.column = parsed.column;
+    } else {
+      issue[prop] = parsed[prop];
+    }
+  });
+}
+
+function applyIssueChanges(state, issue, changes) {
+  const touched = new Set();
+  const fromColumn = state.issues.includes(issue) ? issue.column : null; // new issues may start anywhere
+
+  if (changes.rawRow !== undefined) {
+    if (!Array.isArray(changes.rawRow)) throw new ApiError(422, 'rawRow must be an array');
+    issue.rawRow = changes.rawRow.map(v => String(v == null ? '' : v));
+    csvHeaders.forEach(h => touched.add(h));
+  }
+
+  if (changes.fields !== undefined) {
+    if (!changes.fields || typeof changes.fields !== 'object') {
+      throw new ApiError(422, 'fields must be an object of CSV column values');
+    }
+    if (!issue.rawRow) issue.rawRow = new Array(csvHeaders.length).fill('');
+    Object.keys(changes.fields).forEach(name => {
+      const indices = findColIndices(csvHeaders, name);
+      if (indices.length === 0) throw new ApiError(422, 'Unknown CSV column: ' + name);
+      // Repeated columns (e.g. Sprint) take an array of values
+      const values = Array.isArray(changes.fields[name]) ? changes.fields[name] : [changes.fields[name]];
+      if (values.length > indices.length) {
+        throw new ApiError(422, 'Too many values for CSV column: ' + name);
+      }
+      indices.forEach((idx, i) => setCell(issue.rawRow, idx, i < values.length ? values[i] : ''));
+      touched.add(name);
+    });
+  }
+
+  if (touched.size > 0) syncIssueFromRow(state, issue, touched);
+
+  if (changes.title !== undefined) {
+    if (typeof changes.title !== 'string' || !changes.title.trim()) {
+      throw new ApiError(422, 'title must be a non-empty string');
+    }
+    issue.title = changes.title.trim();
+  }
+  if (changes.key !== undefined) {
+    if (typeof changes.key !== 'string' || !changes.key.trim()) {
+      throw new ApiError(422, 'key must be a non-empty string');
+    }
+    issue.key = changes.key.trim();
+  }
+  if (changes.type !== undefined) issue.type = String(changes.type || '');
+  if (changes.description !== undefined) issue.description = String(changes.description || '');
+  if (changes.assignee !== undefined) issue.assignee = String(changes.assignee || '');
+  if (changes.status !== undefined) {
+    if (VALID_STATUSES.indexOf(changes.status) === -1) {
+      throw new ApiError(422, 'status must be one of: ' + VALID_STATUSES.join(', '));
+    }
+    if (issue.status !== changes.status) {
+      const column = Fields.firstColumnOf(fields, changes.status);
+      if (!column) throw new ApiError(422, 'The workflow has no column for status ' + changes.status);
+      issue.status = changes.status;
+      issue.column = column.id;
+    }
+  }
+  if (changes.column !== undefined) {
+    const column = Fields.findColumn(fields, changes.column);
+    if (!column) {
+      throw new ApiError(422, 'column must be one of: ' + fields.workflow.columns.map(c => c.id).join(', '));
+    }
+    issue.column = column.id;
+    issue.status = column.category;
+  }
+  const from = Fields.findColumn(fields, fromColumn);
+  if (from && !Fields.transitionAllowed(fields, from.id, issue.column)) {
+    throw new ApiError(422, 'Cannot move ' + issue.key + ' from ' + from.name +
+      ' to ' + Fields.findColumn(fields, issue.column).name, { allowed: fields.workflow.transitions[from.id] });
+  }
+  if (changes.priority !== undefined) {
+    if (VALID_PRIORITIES.indexOf(changes.priority) === -1) {
+      throw new ApiError(422, 'priority must be one of: ' + VALID_PRIORITIES.join(', '));
+    }
+    issue.priority = changes.priority;
+  }
+  if (changes.estimateHours !== undefined) {
+    const hours = Number(changes.estimateHours);
+    if (!isFinite(hours) || hours < 0) throw new ApiError(422, 'estimateHours must be a non-negative number');
+    issue.estimateHours = hours;
+  }
+  if (changes.remainingHours !== undefined) {
+    const hours = changes.remainingHours === null ? null : Number(changes.remainingHours);
+    if (hours !== null && (!isFinite(hours) || hours < 0)) {
+      throw new ApiError(422, 'remainingHours must be a non-negative number or null');
+    }
+    issue.remainingHours = hours;
+  }
+  if (changes.sprint !== undefined) {
+    const sprint = Number(changes.sprint);
+    if (!Number.isInteger(sprint) || sprint < 1) throw new ApiError(422, 'sprint must be a positive integer');
+    issue.sprint = sprint;
+  }
+  if (changes.dependsOn !== undefined) {
+    if (!Array.isArray(changes.dependsOn)) throw new ApiError(422, 'dependsOn must be an array of issue ids');
+    const ids = [];
+    const external = [];
+    changes.dependsOn.forEach(value => {
+      const ref = String(value);
+      const dep = findIssue(state, ref);
+      const other = dep ? null : projectOfRef(ref);
+      if (other && projectIssueKeys(other).has(ref)) {
+        if (!external.includes(ref)) external.push(ref);
+        return;
+      }
+      if (!dep) throw new ApiError(422, 'Unknown dependency: ' + ref);
+      if (dep === issue) throw new ApiError(422, 'An issue cannot depend on itself');
+      if (!ids.includes(dep.id)) ids.push(dep.id);
+    });
+    issue.dependsOn = ids;
+    // Issues of other projects are listed by key; refs matching nothing are left alone
+    issue.unresolvedDeps = (issue.unresolvedDeps || []).filter(ref => !projectOfRef(ref)).concat(external);
+  }
+  if (changes.parentId !== undefined) {
+    const parent = changes.parentId ? findIssue(state, String(changes.parentId)) : null;
+    if (changes.parentId && !parent) throw new ApiError(422, 'Unknown parent: ' + changes.parentId);
+    const seen = new Set();
+    for (let p = parent; p && !seen.has(p); p = state.issues.find(i => i.id === p.parentId)) {
+      if (p === issue) throw new ApiError(422, parent.key + ' cannot be the parent of ' + issue.key);
+      seen.add(p);
+    }
+    issue.parentId = parent ? parent.id : null;
+    delete issue.unresolvedParent;
+  }
+
+  const clash = state.issues.find(i => i !== issue && (i.key === issue.key || i.id === issue.id));
+  if (clash) throw new ApiError(409, 'Issue ' + clash.key + ' already exists');
+}
+
+// Saving may keep existing cycles (so the board stays editable) but must not add one
+function assertNoNewCycles(before, after) {
+  const existing = new Set(Replan.validate(before).cycles.map(c => c.ids.slice(0, -1).sort().join(',')));
+  const added = Replan.validate(after).cycles.find(c => !existing.has(c.ids.slice(0, -1).sort().join(',')));
+  if (added) {
+    throw new ApiError(422, 'Dependency cycle: ' + added.keys.join(' \u2192 '), { cycle: added.keys });
+  }
+}
+
+function cloneIssues(issues) {
+  return issues.map(i => ({ ...i, dependsOn: [...(i.dependsOn || [])] }));
+}
+
+// Throws Query.QueryError for a malformed ?jql=
+function filterIssues(state, query) {
+  const jql = query.get('jql');
+  const matchesJql = jql ? Query.compile(jql, {
+    csvHeaders: state.csvHeaders || [],
+    fields: state.fields,
+    sprintNames: state.sprintNames,
+    issues: state.issues,
+  }) : () => true;
+  const status = query.get('status');
+  const column = query.get('column');
+  const priority = query.get('priority');
+  const assignee = query.get('assignee');
+  const sprint = query.get('sprint');
+  const q = (query.get('q') || '').toLowerCase().trim();
+  return state.issues.filter(i => {
+    if (!matchesJql(i)) return false;
+    if (status && i.status !== status) return false;
+    if (column && i.column !== column) return false;
+    if (priority && i.priority !== priority) return false;
+    if (assignee !== null && (i.assignee || '') !== assignee) return false;
+    if (sprint && String(i.sprint) !== sprint) return false;
+    if (q) {
+      const haystack = (i.title + ' ' + i.key + ' ' + (i.assignee || '')).toLowerCase();
+      if (!haystack.includes(q)) return false;
+    }
+    return true;
+  });
+}
+
+// --- Work log API ---
+
+function worklogList(issue) {
+  return issue.worklogs.map((log, i) => ({ id: i + 1, ...log }));
+}
+
+// Validates a work log from the API; `log` holds the current values when editing one
+function readWorklog(body, log) {
+  const result = { ...log };
+  if (body.hours !== undefined || !log) {
+    const hours = Number(body.hours);
+    if (!isFinite(hours) || hours <= 0) throw new ApiError(422, 'hours must be a positive number');
+    result.hours = hours;
+  }
+  if (body.started !== undefined || !log) {
+    const started = body.started ? new Date(body.started) : new Date();
+    if (isNaN(started)) throw new ApiError(422, 'started must be a date');
+    result.started = started.toISOString();
+  }
+  // With accounts only admins log time for someone else, as with comments
+  const author = !user || user.role === 'admin' ? body.author : undefined;
+  if (author !== undefined || !log) result.author = String(author || (user && (user.name || user.login)) || '').trim();
+  if (body.comment !== undefined || !log) result.comment = String(body.comment || '').replace(/\r?\n/g, ' ');
+  return result;
+}
+
+// Logged hours count towards Time Spent and come off the remaining estimate, like Jira's "adjust automatically"
+function adjustTimeTracking(issue, loggedHours, remainingHours) {
+  const remaining = issue.remainingHours != null ? issue.remainingHours
+    : Math.max((issue.estimateHours || 0) - (issue.spentHours || 0), 0);
+  issue.spentHours = Math.max((issue.spentHours || 0) + loggedHours, 0);
+  if (remainingHours !== undefined) {
+    const hours = Number(remainingHours);
+    if (!isFinite(hours) || hours < 0) throw new ApiError(422, 'remainingHours must be a non-negative number');
+    issue.remainingHours = hours;
+  } else {
+    issue.remainingHours = Math.max(remaining - loggedHours, 0);
+  }
+}
+
+// Saves what `change(issue, body)` does to one issue and replies with `reply(saved)`;
+// `change` returns the status code. Used by the work log and comment routes.
+function changeIssue(req, res, ref, change, reply) {
+  const update = body => {
+    const state = readTasks();
+    const issue = findIssue(state, ref);
+    if (!issue) throw new ApiError(404, 'Issue not found: ' + ref);
+    checkIssueRevision(req, issue);
+    const status = change(issue, body);
+    writeTasks(state);
+    const updated = readTasks();
+    const saved = findIssue(updated, String(issue.id));
+    broadcast('issue', { issue: saved, revision: updated.revision });
+    sendJSON(res, status, { ...reply(saved), issue: saved }, etag(saved.revision));
+  };
+
+  // DELETE needs no body
+  if (req.method === 'DELETE') {
+    try {
+      update({});
+    } catch (e) {
+      if (!(e instanceof ApiError)) throw e;
+      sendJSON(res, e.status, { error: e.message, ...e.details });
+    }
+    return;
+  }
+  readJSONBody(req, res, update);
+}
+
+function handleWorklogsApi(req, res, ref, logRef) {
+  const index = logRef !== undefined ? parseInt(logRef, 10) - 1 : null;
+
+  if (req.method === 'GET' && index === null) {
+    const issue = findIssue(readTasks(), ref);
+    if (!issue) {
+      sendJSON(res, 404, { error: 'Issue not found: ' + ref });
+      return;
+    }
+    sendJSON(res, 200, {
+      worklogs: worklogList(issue),
+      estimateHours: issue.estimateHours,
+      spentHours: issue.spentHours,
+      remainingHours: issue.remainingHours,
+    }, etag(issue.revision));
+    return;
+  }
+
+  const allowed = index === null ? ['POST'] : ['PATCH', 'DELETE'];
+  if (!allowed.includes(req.method)) {
+    sendJSON(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  changeIssue(req, res, ref, (issue, body) => {
+    if (index !== null && !issue.worklogs[index]) throw new ApiError(404, 'No such work log: ' + logRef);
+    if (req.method === 'POST') {
+      const log = readWorklog(body, null);
+      issue.worklogs.push(log);
+      adjustTimeTracking(issue, log.hours, body.remainingHours);
+      return 201;
+    }
+    if (req.method === 'PATCH') {
+      const log = readWorklog(body, issue.worklogs[index]);
+      adjustTimeTracking(issue, log.hours - issue.worklogs[index].hours, body.remainingHours);
+      issue.worklogs[index] = log;
+    } else {
+      adjustTimeTracking(issue, -issue.worklogs[index].hours, body.remainingHours);
+      issue.worklogs.splice(index, 1);
+    }
+    return 200;
+  }, saved => ({ worklogs: worklogList(saved) }));
+}
+
+// --- Comment API ---
+
+function commentList(issue) {
+  return issue.comments.map((comment, i) => ({ id: i + 1, ...comment }));
+}
+
+function commentBody(body) {
+  if (typeof body.body !== 'string' || !body.body.trim()) throw new ApiError(422, 'body must be a non-empty string');
+  return body.body.replace(/\r\n/g, '\n').trim();
+}
+
+function handleCommentsApi(req, res, ref, commentRef) {
+  const index = commentRef !== undefined ? parseInt(commentRef, 10) - 1 : null;
+
+  if (req.method === 'GET' && index === null) {
+    const issue = findIssue(readTasks(), ref);
+    if (!issue) {
+      sendJSON(res, 404, { error: 'Issue not found: ' + ref });
+      return;
+    }
+    sendJSON(res, 200, { comments: commentList(issue) }, etag(issue.revision));
+    return;
+  }
+
+  const allowed = index === null ? ['POST'] : ['PATCH', 'DELETE'];
+  if (!allowed.includes(req.method)) {
+    sendJSON(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  // Comments keep their author and date when edited; the CSV has no room for more.
+  // With accounts, comments are written as the logged-in user and only they or an admin change them.
+  changeIssue(req, res, ref, (issue, body) => {
+    if (index !== null && !issue.comments[index]) throw new ApiError(404, 'No such comment: ' + commentRef);
+    if (req.method === 'POST') {
+      issue.comments.push({
+        created: new Date().toISOString(),
+        author: user ? user.name || user.login : String(body.author || '').trim(),
+        body: commentBody(body),
+      });
+      return 201;
+    }
+    if (user && user.role !== 'admin' && issue.comments[index].author !== (user.name || user.login)) {
+      throw new ApiError(403, 'Only the author or an admin can change this comment');
+    }
+    if (req.method === 'PATCH') issue.comments[index] = { ...issue.comments[index], body: commentBody(body) };
+    else issue.comments.splice(index, 1);
+    return 200;
+  }, saved => ({ comments: commentList(saved) }));
+}
+
+function handleIssuesApi(req, res, pathname, query) {
+  const parts = pathname.split('/').filter(Boolean); // ['api', 'issues', ':id']
+  const ref = parts[2] && decodeURIComponent(parts[2]);
+
+  if (parts.length === 4 && parts[3] === 'history' && req.method === 'GET') {
+    const issue = findIssue(readTasks(), ref);
+    if (!issue) {
+      sendJSON(res, 404, { error: 'Issue not found: ' + ref });
+      return;
+    }
+    sendJSON(res, 200, { entries: issueHistory(issue.id) });
+    return;
+  }
+
+  if (parts[3] === 'worklogs' && parts.length <= 5) {
+    handleWorklogsApi(req, res, ref, parts[4]);
+    return;
+  }
+
+  if (parts[3] === 'comments' && parts.length <= 5) {
+    handleCommentsApi(req, res, ref, parts[4]);
+    return;
+  }
+
+  if (parts.length > 3) {
+    sendJSON(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (!ref && req.method === 'GET') {
+    const state = readTasks();
+    let matches;
+    try {
+      matches = filterIssues(state, query);
+    } catch (e) {
+      if (!(e instanceof Query.QueryError)) throw e;
+      sendJSON(res, 400, { error: e.message, position: e.position });
+      return;
+    }
+    const offset = Math.max(parseInt(query.get('offset'), 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(query.get('limit'), 10) || 50, 1), 500);
+    sendJSON(res, 200, {
+      total: matches.length,
+      offset: offset,
+      limit: limit,
+      issues: matches.slice(offset, offset + limit),
+    });
+    return;
+  }
+
+  if (!ref && req.method === 'POST') {
+    readJSONBody(req, res, changes => {
+      const state = readTasks();
+      if (changes.title === undefined && !(changes.fields && changes.fields['Summary'])) {
+        throw new ApiError(422, 'title is required');
+      }
+      const id = changes.id !== undefined ? parseInt(changes.id, 10) : state.nextId;
+      if (isNaN(id) || id < 1) throw new ApiError(422, 'id must be a positive integer');
+      const issue = {
+        id: id,
+        key: state.projectKey + '-' + id,
+        title: '',
+        description: '',
+        status: fields.workflow.columns[0].category,
+        column: fields.workflow.columns[0].id,
+        priority: 'medium',
+        assignee: '',
+        estimateHours: 0,
+        dependsOn: [],
+        sprint: 1,
+        rawRow: new Array(csvHeaders.length).fill(''),
+      };
+      const before = cloneIssues(state.issues);
+      applyIssueChanges(state, issue, changes);
+      state.issues.push(issue);
+      assertNoNewCycles(before, state.issues);
+      writeTasks(state);
+      const updated = readTasks();
+      const saved = findIssue(updated, String(issue.id));
+      broadcast('issue', { issue: saved, revision: updated.revision });
+      sendJSON(res, 201, saved, etag(saved.revision));
+    });
+    return;
+  }
+
+  if (!ref && (req.method === 'PATCH' || req.method === 'DELETE')) {
+    handleBulkIssuesApi(req, res);
+    return;
+  }
+
+  if (!ref) {
+    sendJSON(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const issue = findIssue(readTasks(), ref);
+    if (!issue) {
+      sendJSON(res, 404, { error: 'Issue not found: ' + ref });
+      return;
+    }
+    sendJSON(res, 200, issue, etag(issue.revision));
+    return;
+  }
+
+  if (req.method === 'PATCH') {
+    readJSONBody(req, res, changes => {
+      const state = readTasks();
+      const issue = findIssue(state, ref);
+      if (!issue) throw new ApiError(404, 'Issue not found: ' + ref);
+      checkIssueRevision(req, issue);
+      if (changes.id !== undefined && Number(changes.id) !== issue.id) {
+        throw new ApiError(422, 'id cannot be changed');
+      }
+      const before = cloneIssues(state.issues);
+      applyIssueChanges(state, issue, changes);
+      assertNoNewCycles(before, state.issues);
+      writeTasks(state);
+      const updated = readTasks();
+      const saved = findIssue(updated, String(issue.id));
+      broadcast('issue', { issue: saved, revision: updated.revision });
+      sendJSON(res, 200, saved, etag(saved.revision));
+    });
+    return;
+  }
+
+  if (req.method === 'DELETE') {
+    const state = readTasks();
+    const issue = findIssue(state, ref);
+    if (!issue) {
+      sendJSON(res, 404, { error: 'Issue not found: ' + ref });
+      return;
+    }
+    const expected = ifMatchRevision(req);
+    if (expected && expected !== issue.revision) {
+      sendJSON(res, 409, { error: 'Issue ' + issue.key + ' was changed by someone else', issue: issue });
+      return;
+    }
+    state.issues = state.issues.filter(i => i !== issue);
+    state.issues.forEach(i => {
+      i.dependsOn = i.dependsOn.filter(d => d !== issue.id);
+    });
+    writeTasks(state);
+    broadcast('issue-deleted', { id: issue.id, revision: readTasks().revision });
+    sendJSON(res, 200, { ok: true });
+    return;
+  }
+
+  sendJSON(res, 405, { error: 'Method not allowed' });
+}
+
+// --- Bulk issue API (one write, so one Undo takes back the whole change) ---
+
+// The issues named by `refs`; `revisions` ({ id: revision }) lists those the client last saw
+function bulkIssues(state, refs, revisions) {
+  if (!Array.isArray(refs) || refs.length === 0) {
+    throw new ApiError(422, 'issues must be a non-empty array of issue ids or keys');
+  }
+  const issues = [];
+  refs.forEach(ref => {
+    const issue = findIssue(state, String(ref));
+    if (!issue) throw new ApiError(404, 'Issue not found: ' + ref);
+    if (!issues.includes(issue)) issues.push(issue);
+  });
+  const changed = issues.filter(i => revisions && revisions[i.id] && revisions[i.id] !== i.revision);
+  if (changed.length > 0) {
+    throw new ApiError(409, changed.map(i => i.key).join(', ') + (changed.length === 1 ? ' was' : ' were') +
+      ' changed by someone else', { issues: changed });
+  }
+  return issues;
+}
+
+// The issue's dependsOn after adding and removing refs, keeping its links to other projects
+function bulkDependsOn(state, issue, add, remove) {
+  const normalize = ref => {
+    const dep = findIssue(state, String(ref));
+    return dep ? String(dep.id) : String(ref);
+  };
+  const removed = (remove || []).map(normalize);
+  const deps = issue.dependsOn.map(String)
+    .concat((issue.unresolvedDeps || []).filter(ref => projectOfRef(ref)))
+    .filter(ref => !removed.includes(ref));
+  (add || []).map(normalize).forEach(ref => {
+    if (ref !== String(issue.id) && !deps.includes(ref)) deps.push(ref);
+  });
+  return deps;
+}
+
+// PATCH /api/issues { issues, revisions, changes } and DELETE /api/issues { issues, revisions }
+function handleBulkIssuesApi(req, res) {
+  readJSONBody(req, res, body => {
+    const state = readTasks();
+    const issues = bulkIssues(state, body.issues, body.revisions);
+
+    if (req.method === 'DELETE') {
+      const doomed = new Set(issues.map(i => i.id));
+      state.issues = state.issues.filter(i => !doomed.has(i.id));
+      state.issues.forEach(i => {
+        i.dependsOn = i.dependsOn.filter(d => !doomed.has(d));
+      });
+      writeTasks(state);
+      const updated = readTasks();
+      broadcast('tasks', { state: updated });
+      sendJSON(res, 200, { ok: true, deleted: doomed.size, revision: updated.revision });
+      return;
+    }
+
+    if (!body.changes || typeof body.changes !== 'object' || Array.isArray(body.changes)) {
+      throw new ApiError(422, 'changes must be an object');
+    }
+    const { addDependsOn, removeDependsOn, ...changes } = body.changes;
+    ['id', 'key', 'rawRow'].forEach(name => {
+      if (changes[name] !== undefined) throw new ApiError(422, name + ' cannot be changed for several issues at once');
+    });
+    if ((addDependsOn !== undefined && !Array.isArray(addDependsOn)) ||
+        (removeDependsOn !== undefined && !Array.isArray(removeDependsOn))) {
+      throw new ApiError(422, 'addDependsOn and removeDependsOn must be arrays of issue ids or keys');
+    }
+    const before = cloneIssues(state.issues);
+    issues.forEach(issue => {
+      const own = { ...changes };
+      if (addDependsOn || removeDependsOn) own.dependsOn = bulkDependsOn(state, issue, addDependsOn, removeDependsOn);
+      applyIssueChanges(state, issue, own);
+    });
+    assertNoNewCycles(before, state.issues);
+    writeTasks(state);
+    const updated = readTasks();
+    broadcast('tasks', { state: updated });
+    sendJSON(res, 200, { revision: updated.revision, issues: issues.map(i => findIssue(updated, String(i.id))) });
+  });
+}
+
+// --- Sprint API (create, edit, start, close) ---
+
+function todayISO() {
+  return localDate(new Date());
+}
+
+// Validates the editable sprint fields in `changes` and copies them onto `entry` (a server.conf sprint)
+function applySprintChanges(state, sprint, entry, changes) {
+  if (changes.name !== undefined) {
+    const name = String(changes.name || '').trim();
+    if (!name) throw new ApiError(422, 'name must be a non-empty string');
+    const clash = Object.values(state.sprints).find(s => s.sprint !== sprint && s.name === name);
+    if (clash) throw new ApiError(409, 'Sprint ' + clash.sprint + ' is already called ' + name);
+    entry.name = name;
+  }
+  if (changes.goal !== undefined) entry.goal = String(changes.goal || '');
+  ['start', 'end'].forEach(field => {
+    if (changes[field] === undefined) return;
+    if (!isISODate(changes[field])) throw new ApiError(422, field + ' must be a date (YYYY-MM-DD)');
+    entry[field] = changes[field];
+  });
+  if (entry.start && entry.end && entry.end < entry.start) throw new ApiError(422, 'end must not be before start');
+}
+
+// Renames the sprint in every Sprint cell of the CSV (earlier sprints of carried-over issues included)
+function renameSprintCells(state, oldName, newName) {
+  let changed = false;
+  state.issues.forEach(issue => {
+    colIndices.sprints.forEach(idx => {
+      if (issue.rawRow && getCell(issue.rawRow, idx) === oldName) {
+        setCell(issue.rawRow, idx, newName);
+        changed = true;
+      }
+    });
+  });
+  return changed;
+}
+
+function saveSprintConfig(config) {
+  writeConfig(config);
+  broadcast('config', { config: config });
+}
+
+function sprintResponse(sprint) {
+  const state = readTasks();
+  return { ...state.sprints[sprint], active: state.activeSprint === sprint };
+}
+
+function handleSprintsApi(req, res, pathname) {
+  const parts = pathname.split('/').filter(Boolean); // ['api', 'sprints', ':n', 'start' | 'close']
+  const sprint = parts[2] !== undefined ? parseInt(parts[2], 10) : null;
+  const action = parts[3];
+
+  if (sprint === null && req.method === 'GET') {
+    const state = readTasks();
+    sendJSON(res, 200, { sprints: Object.values(state.sprints), activeSprint: state.activeSprint });
+    return;
+  }
+
+  // A new sprint after the last one, named like the others
+  if (sprint === null && req.method === 'POST') {
+    readJSONBody(req, res, changes => {
+      const state = readTasks();
+      const config = readConfig();
+      const number = Object.keys(state.sprints).length + 1;
+      const entry = { name: sprintNameFor(number) };
+      applySprintChanges(state, number, entry, changes);
+      config.sprints = { ...config.sprints, [number]: entry };
+      saveSprintConfig(config);
+      sendJSON(res, 201, sprintResponse(number));
+    });
+    return;
+  }
+
+  if (!(sprint >= 1) || parts.length > 4) {
+    sendJSON(res, 404, { error: 'Not found' });
+    return;
+  }
+  const known = readTasks().sprints[sprint];
+  if (!known) {
+    sendJSON(res, 404, { error: 'No such sprint: ' + parts[2] });
+    return;
+  }
+
+  if (!action && req.method === 'GET') {
+    sendJSON(res, 200, sprintResponse(sprint));
+    return;
+  }
+
+  if (!action && req.method === 'PATCH') {
+    readJSONBody(req, res, changes => {
+      const state = readTasks();
+      const config = readConfig();
+      const entry = { ...(config.sprints && config.sprints[sprint]) };
+      applySprintChanges(state, sprint, entry, changes);
+      const oldName = state.sprints[sprint].name;
+      config.sprints = { ...config.sprints, [sprint]: entry };
+      saveSprintConfig(config);
+      if (entry.name && entry.name !== oldName) {
+        state.sprintNames[sprint] = entry.name;
+        if (renameSprintCells(state, oldName, entry.name)) {
+          writeTasks(state);
+          broadcast('tasks', { state: readTasks() });
+        }
+      }
+      sendJSON(res, 200, sprintResponse(sprint));
+    });
+    return;
+  }
+
+  // Starting fixes the dates: today (or "start") for "sprintLength" days (or until "end")
+  if (action === 'start' && req.method === 'POST') {
+    readJSONBody(req, res, changes => {
+      const state = readTasks();
+      const active = Object.values(state.sprints).find(s => s.state === 'active');
+      if (active && active.sprint !== sprint) {
+        throw new ApiError(409, active.name + ' is still active; close it first', { activeSprint: active.sprint });
+      }
+      if (state.sprints[sprint].state === 'closed') throw new ApiError(422, known.name + ' is already closed');
+      const config = readConfig();
+      const entry = { ...(config.sprints && config.sprints[sprint]), name: known.name };
+      const start = changes.start !== undefined ? changes.start : todayISO();
+      applySprintChanges(state, sprint, entry, { end: addDays(start, state.sprintLength - 1), ...changes, start: start });
+      entry.state = 'active';
+      config.sprints = { ...config.sprints, [sprint]: entry };
+      saveSprintConfig(config);
+      sendJSON(res, 200, sprintResponse(sprint));
+    });
+    return;
+  }
+
+  // Closing moves the issues that are not done to "carryOverTo" (default: the next sprint)
+  if (action === 'close' && req.method === 'POST') {
+    readJSONBody(req, res, options => {
+      const state = readTasks();
+      if (state.sprints[sprint].state !== 'active') throw new ApiError(422, known.name + ' is not active');
+      const target = options.carryOverTo !== undefined ? Number(options.carryOverTo) : sprint + 1;
+      if (!Number.isInteger(target) || target < 1 || target === sprint) {
+        throw new ApiError(422, 'carryOverTo must be the number of another sprint');
+      }
+      if (state.sprints[target] && state.sprints[target].state === 'closed') {
+        throw new ApiError(422, state.sprints[target].name + ' is already closed');
+      }
+      const unfinished = state.issues.filter(i => (i.sprint || 1) === sprint && i.status !== 'done');
+      unfinished.forEach(issue => { issue.sprint = target; });
+
+      const config = readConfig();
+      config.sprints = {
+        ...config.sprints,
+        [sprint]: { ...(config.sprints && config.sprints[sprint]), name: known.name, state: 'closed', closedAt: todayISO() },
+      };
+      saveSprintConfig(config);
+      if (unfinished.length > 0) {
+        writeTasks(state);
+        broadcast('tasks', { state: readTasks() });
+      }
+      sendJSON(res, 200, {
+        ...sprintResponse(sprint),
+        carriedOver: unfinished.map(i => i.key),
+        carryOverTo: target,
+      });
+    });
+    return;
+  }
+
+  sendJSON(res, 405, { error: 'Method not allowed' });
+}
+
+// --- Import (Jira JSON / XML exports, or another CSV) ---
+
+// Every format is first turned into rows with Jira's CSV column names, so an
+// import merges exactly like a second CSV export would.
+
+function detectImportFormat(content, filename) {
+  const ext = path.extname(filename || '').toLowerCase().slice(1);
+  if (['csv', 'json', 'xml'].includes(ext)) return ext;
+  const first = content.trimStart()[0];
+  return first === '{' || first === '[' ? 'json' : first === '<' ? 'xml' : 'csv';
+}
+
+// Jira JSON/XML dates ("2026-02-15T09:00:00.000+0000", "Sun, 15 Feb 2026 09:00:00 +0000") in CSV format
+function importDate(text) {
+  if (!text) return '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return Fields.formatJiraDate(Fields.parseJiraDate(text));
+  const date = new Date(String(text).replace(/([+-]\d\d)(\d\d)$/, '$1:$2'));
+  return isNaN(date) ? String(text) : Fields.formatJiraDate(date);
+}
+
+// Records are { 'Column name': value or [values] }; repeated values become repeated columns
+function recordsToTable(records) {
+  const counts = new Map();
+  records.forEach(record => {
+    Object.keys(record).forEach(name => {
+      const n = [].concat(record[name]).length;
+      counts.set(name, Math.max(counts.get(name) || 0, n));
+    });
+  });
+  const headers = [];
+  counts.forEach((n, name) => { for (let i = 0; i < n; i++) headers.push(name); });
+  const rows = records.map(record => {
+    const row = [];
+    counts.forEach((n, name) => {
+      const values = [].concat(record[name] === undefined ? [] : record[name]);
+      for (let i = 0; i < n; i++) row.push(i < values.length ? String(values[i]) : '');
+    });
+    return row;
+  });
+  return { headers, rows };
+}
+
+function addValue(record, name, value) {
+  if (value === undefined || value === null || value === '') return;
+  if (Array.isArray(value)) {
+    value.forEach(v => addValue(record, name, v));
+    return;
+  }
+  record[name] = record[name] === undefined ? String(value) : [].concat(record[name], String(value));
+}
+
+// Atlassian Document Format (REST API v3 descriptions) to plain text
+function adfText(node) {
+  if (!node || typeof node !== 'object') return node ? String(node) : '';
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'hardBreak') return '\n';
+  const inner = (node.content || []).map(adfText).join('');
+  return ['paragraph', 'heading', 'listItem', 'codeBlock'].includes(node.type) ? inner + '\n' : inner;
+}
+
+// Sprint custom field: objects ({ name, state }) or, in old servers, "...[id=1,name=SB Sprint 1,...]"
+function sprintNamesOf(value) {
+  return [].concat(value || []).map(s => {
+    if (s && typeof s === 'object') return s.name;
+    const m = /[[,]name=([^,\]]*)/.exec(String(s));
+    return m ? m[1] : String(s);
+  }).filter(Boolean);
+}
+
+function isSprintValue(value) {
+  const first = [].concat(value || [])[0];
+  return !!first && (typeof first === 'object' ? 'state' in first && 'name' in first
+    : /^com\.atlassian\.greenhopper\.service\.sprint\.Sprint@/.test(String(first)));
+}
+
+function customValue(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.type === 'doc') return adfText(value).trim();
+    return value.value || value.name || value.displayName || value.key || '';
+  }
+  return Array.isArray(value) ? value.map(customValue) : value;
+}
+
+/** Jira REST search result ({ issues: [...], names }), or a bare array of issues. */
+function jiraJsonToTable(data) {
+  const issues = Array.isArray(data) ? data : data && Array.isArray(data.issues) ? data.issues : null;
+  if (!issues) throw new ApiError(422, 'Expected a Jira search result with an "issues" array');
+  const names = (data && data.names) || {};
+  const name = v => v && (v.name || v.displayName || v.value || v.key);
+  const records = issues.map(issue => {
+    const f = issue.fields || {};
+    const r = {};
+    addValue(r, 'Summary', f.summary);
+    addValue(r, 'Issue key', issue.key);
+    addValue(r, 'Issue id', issue.id);
+    addValue(r, 'Issue Type', name(f.issuetype));
+    addValue(r, 'Status', name(f.status));
+    addValue(r, 'Project key', f.project && f.project.key);
+    addValue(r, 'Project name', f.project && f.project.name);
+    addValue(r, 'Priority', name(f.priority));
+    addValue(r, 'Resolution', name(f.resolution));
+    addValue(r, 'Assignee', name(f.assignee));
+    addValue(r, 'Reporter', name(f.reporter));
+    addValue(r, 'Creator', name(f.creator));
+    addValue(r, 'Created', importDate(f.created));
+    addValue(r, 'Updated', importDate(f.updated));
+    addValue(r, 'Resolved', importDate(f.resolutiondate));
+    addValue(r, 'Due Date', importDate(f.duedate));
+    addValue(r, 'Affects Version/s', (f.versions || []).map(name));
+    addValue(r, 'Fix Version/s', (f.fixVersions || []).map(name));
+    addValue(r, 'Component/s', (f.components || []).map(name));
+    addValue(r, 'Labels', f.labels);
+    addValue(r, 'Description', typeof f.description === 'object' ? adfText(f.description).trim() : f.description);
+    addValue(r, 'Original Estimate', f.timeoriginalestimate);
+    addValue(r, 'Remaining Estimate', f.timeestimate);
+    addValue(r, 'Time Spent', f.timespent);
+    addValue(r, 'Log Work', ((f.worklog && f.worklog.worklogs) || []).map(w => [
+      typeof w.comment === 'object' ? adfText(w.comment).trim().replace(/\s*\n\s*/g, ' ') : w.comment || '',
+      importDate(w.started),
+      name(w.author) || '',
+      w.timeSpentSeconds || 0,
+    ].join(';')));
+    addValue(r, 'Comment', ((f.comment && f.comment.comments) || []).map(c => [
+      importDate(c.created),
+      name(c.author) || '',
+      typeof c.body === 'object' ? adfText(c.body).trim() : c.body || '',
+    ].join(';')));
+    addValue(r, 'Parent id', f.parent && f.parent.id);
+    (f.issuelinks || []).forEach(link => {
+      const type = link.type && link.type.name;
+      if (link.inwardIssue) addValue(r, 'Inward issue link (' + type + ')', link.inwardIssue.key);
+      if (link.outwardIssue) addValue(r, 'Outward issue link (' + type + ')', link.outwardIssue.key);
+    });
+    Object.keys(f).filter(k => k.startsWith('customfield_')).forEach(k => {
+      const label = names[k] || k;
+      if (label === 'Sprint' || isSprintValue(f[k])) addValue(r, 'Sprint', sprintNamesOf(f[k]));
+      else addValue(r, 'Custom field (' + label + ')', customValue(f[k]));
+    });
+    return r;
+  });
+  return recordsToTable(records);
+}
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|amp|quot|apos));/gi, (m, hex, dec, name) => {
+    if (name) return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+    return String.fromCodePoint(hex ? parseInt(hex, 16) : parseInt(dec, 10));
+  });
+}
+
+// Just enough XML for Jira's RSS export: elements, attributes, text and CDATA
+function parseXML(text) {
+  const root = { name: '', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const re = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const top = stack[stack.length - 1];
+    if (m[1] !== undefined) {
+      top.text += m[1];
+    } else if (m[2]) {
+      if (top.name !== m[2]) throw new ApiError(422, 'Invalid XML: unexpected </' + m[2] + '>');
+      stack.pop();
+    } else if (m[3]) {
+      const el = { name: m[3], attrs: {}, children: [], text: '' };
+      (m[4] || '').replace(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (a, key, v1, v2) => {
+        el.attrs[key] = decodeXmlEntities(v1 !== undefined ? v1 : v2);
+      });
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    } else if (m[6]) {
+      top.text += decodeXmlEntities(m[6]);
+    } else if (m[0][0] === '<' && !/^<[?!]/.test(m[0])) {
+      throw new ApiError(422, 'Invalid XML near "' + m[0].slice(0, 20) + '"');
+    }
+  }
+  if (stack.length > 1) throw new ApiError(422, 'Invalid XML: <' + stack[stack.length - 1].name + '> is not closed');
+  return root;
+}
+
+function xmlChildren(el, name) {
+  return el ? el.children.filter(c => c.name === name) : [];
+}
+
+function xmlText(el) {
+  return el ? el.text.trim() : '';
+}
+
+// Jira renders descriptions as HTML in XML exports
+function htmlToText(html) {
+  return decodeXmlEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|h\d)>/gi, '\n').replace(/<[^>]+>/g, ''))
+    .replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/** Jira "XML" (RSS) export: <rss><channel><item>...</item></channel></rss> */
+function jiraXmlToTable(text) {
+  const rss = parseXML(text);
+  const items = [];
+  (function collect(el) {
+    el.children.forEach(c => { if (c.name === 'item') items.push(c); else collect(c); });
+  })(rss);
+  if (items.length === 0) throw new ApiError(422, 'No <item> elements found in the XML export');
+  const records = items.map(item => {
+    const one = name => xmlChildren(item, name)[0];
+    const r = {};
+    const person = name => (xmlText(one(name)) === 'Unassigned' ? '' : xmlText(one(name)));
+    const seconds = name => one(name) && one(name).attrs.seconds;
+    addValue(r, 'Summary', xmlText(one('summary')));
+    addValue(r, 'Issue key', xmlText(one('key')));
+    addValue(r, 'Issue id', one('key') && one('key').attrs.id);
+    addValue(r, 'Issue Type', xmlText(one('type')));
+    addValue(r, 'Status', xmlText(one('status')));
+    addValue(r, 'Project key', one('project') && one('project').attrs.key);
+    addValue(r, 'Project name', xmlText(one('project')));
+    addValue(r, 'Priority', xmlText(one('priority')));
+    addValue(r, 'Resolution', xmlText(one('resolution')) === 'Unresolved' ? '' : xmlText(one('resolution')));
+    addValue(r, 'Assignee', person('assignee'));
+    addValue(r, 'Reporter', person('reporter'));
+    addValue(r, 'Created', importDate(xmlText(one('created'))));
+    addValue(r, 'Updated', importDate(xmlText(one('updated'))));
+    addValue(r, 'Resolved', importDate(xmlText(one('resolved'))));
+    addValue(r, 'Due Date', importDate(xmlText(one('due'))));
+    addValue(r, 'Affects Version/s', xmlChildren(item, 'version').map(xmlText));
+    addValue(r, 'Fix Version/s', xmlChildren(item, 'fixVersion').map(xmlText));
+    addValue(r, 'Component/s', xmlChildren(item, 'component').map(xmlText));
+    addValue(r, 'Labels', xmlChildren(one('labels'), 'label').map(xmlText));
+    addValue(r, 'Description', htmlToText(one('description') ? one('description').text : ''));
+    addValue(r, 'Original Estimate', seconds('timeoriginalestimate'));
+    addValue(r, 'Remaining Estimate', seconds('timeestimate'));
+    addValue(r, 'Time Spent', seconds('timespent'));
+    addValue(r, 'Comment', xmlChildren(one('comments'), 'comment').map(c =>
+      [importDate(c.attrs.created), c.attrs.author || '', htmlToText(c.text)].join(';')));
+    addValue(r, 'Parent id', one('parent') && one('parent').attrs.id);
+    xmlChildren(one('issuelinks'), 'issuelinktype').forEach(type => {
+      const name = xmlText(xmlChildren(type, 'name')[0]);
+      [['inwardlinks', 'Inward'], ['outwardlinks', 'Outward']].forEach(([tag, direction]) => {
+        xmlChildren(type, tag).forEach(links => {
+          xmlChildren(links, 'issuelink').forEach(link => {
+            addValue(r, direction + ' issue link (' + name + ')', xmlText(xmlChildren(link, 'issuekey')[0]));
+          });
+        });
+      });
+    });
+    xmlChildren(one('customfields'), 'customfield').forEach(field => {
+      const name = xmlText(xmlChildren(field, 'customfieldname')[0]);
+      const values = [];
+      xmlChildren(field, 'customfieldvalues').forEach(v => {
+        xmlChildren(v, 'customfieldvalue').forEach(cv => values.push(htmlToText(cv.text)));
+        if (xmlText(v) && values.length === 0) values.push(xmlText(v));
+      });
+      addValue(r, name === 'Sprint' ? 'Sprint' : 'Custom field (' + name + ')', values);
+    });
+    return r;
+  });
+  return recordsToTable(records);
+}
+
+function importTable(format, content) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      throw new ApiError(422, 'Invalid JSON: ' + e.message);
+    }
+    return jiraJsonToTable(data);
+  }
+  if (format === 'xml') return jiraXmlToTable(content);
+  const parsed = parseCSV(content.replace(/^\uFEFF/, ''));
+  if (parsed.headers.indexOf('Issue key') === -1) throw new ApiError(422, 'The CSV has no "Issue key" column');
+  return { headers: parsed.headers, rows: parsed.dataRows };
+}
+
+// Columns holding issue references (ids or keys); compared by the issue they point to
+function isReferenceColumn(name) {
+  return /^(Inward|Outward) issue link \(/.test(name) || ['Parent id', 'Parent', 'Custom field (Epic Link)'].includes(name);
+}
+
+// Columns left alone by an import: the row's identity and Jira's own bookkeeping
+const IMPORT_SKIPPED_COLUMNS = ['Issue key', 'Issue id', 'Updated'];
+
+function cellValues(headers, row, name) {
+  const values = [];
+  headers.forEach((h, idx) => {
+    if (h === name && row[idx] && row[idx].trim()) values.push(row[idx].trim());
+  });
+  return values;
+}
+
+/**
+ * Works out what importing `table` into `state` would do. Issues match by Issue key.
+ * Incoming values only fill in or replace cells; empty cells never clear anything.
+ * A change counts as a conflict when the local issue was updated after the incoming one.
+ */
+function planImport(state, table) {
+  const byKey = new Map(state.issues.map(i => [i.key, i]));
+  const usedIds = new Set(state.issues.map(i => i.id));
+  let nextId = state.nextId;
+
+  // Incoming issue ids -> the ids the issues have (or get) here
+  const idMap = new Map();
+  const keyToId = new Map(state.issues.map(i => [i.key, i.id]));
+  const incoming = table.rows.map(row => {
+    const key = cellValues(table.headers, row, 'Issue key')[0] || '';
+    const theirId = parseInt(cellValues(table.headers, row, 'Issue id')[0], 10);
+    const existing = key ? byKey.get(key) : null;
+    let id;
+    if (existing) {
+      id = existing.id;
+    } else {
+      id = theirId > 0 && !usedIds.has(theirId) ? theirId : nextId;
+      usedIds.add(id);
+      nextId = Math.max(nextId, id + 1);
+    }
+    if (theirId > 0) idMap.set(String(theirId), String(id));
+    return { row, key: key || state.projectKey + '-' + id, id, existing };
+  });
+  incoming.forEach(item => keyToId.set(item.key, item.id));
+
+  function toId(ref) {
+    return keyToId.has(ref) ? String(keyToId.get(ref)) : idMap.get(ref) || ref;
+  }
+  // Incoming reference cells keep keys but have their ids translated
+  function translate(name, values) {
+    if (!isReferenceColumn(name)) return values;
+    return values.map(v => v.split(/\s*;\s*/).map(ref => idMap.get(ref) || ref).join('; '));
+  }
+  function sameValues(name, a, b) {
+    if (!isReferenceColumn(name)) return a.join('\n') === b.join('\n');
+    const refs = values => values.join(';').split(/\s*;\s*/).filter(Boolean).map(toId).sort().join(';');
+    return refs(a) === refs(b);
+  }
+
+  const names = [...new Set(table.headers)].filter(name => !IMPORT_SKIPPED_COLUMNS.includes(name));
+  const newColumns = [];
+  new Set(table.headers).forEach(name => {
+    const missing = table.headers.filter(h => h === name).length - findColIndices(csvHeaders, name).length;
+    for (let i = 0; i < missing; i++) newColumns.push(name);
+  });
+
+  const plan = { additions: [], updates: [], conflicts: [], unchanged: 0, newColumns: newColumns };
+  incoming.forEach(item => {
+    const values = {};
+    names.forEach(name => {
+      const v = translate(name, cellValues(table.headers, item.row, name));
+      if (v.length > 0) values[name] = v;
+    });
+    if (!item.existing) {
+      plan.additions.push({ id: item.id, key: item.key, title: (values['Summary'] || [''])[0], values: values });
+      return;
+    }
+    const issue = item.existing;
+    const changes = [];
+    Object.keys(values).forEach(name => {
+      const ours = cellValues(csvHeaders, issue.rawRow || [], name);
+      if (!sameValues(name, ours, values[name])) changes.push({ column: name, from: ours, to: values[name] });
+    });
+    if (changes.length === 0) {
+      plan.unchanged++;
+      return;
+    }
+    const ourUpdate = Fields.parseJiraDate(getCell(issue.rawRow || [], colIndices.updated));
+    const theirUpdate = Fields.parseJiraDate(cellValues(table.headers, item.row, 'Updated')[0]);
+    const conflict = ourUpdate && theirUpdate && ourUpdate > theirUpdate;
+    (conflict ? plan.conflicts : plan.updates).push({ id: issue.id, key: issue.key, title: issue.title, changes: changes });
+  });
+  return plan;
+}
+
+// Gives sprint names the board has not seen yet a number, like readTasks() does for a CSV
+function registerSprintNames(names) {
+  names.forEach(name => {
+    if (!isNaN(sprintNumberFor(name))) return;
+    const next = Object.keys(sprintNames).reduce((m, n) => Math.max(m, parseInt(n, 10)), 0) + 1;
+    sprintNames[next] = name;
+  });
+}
+
+function applyImport(state, plan, overwrite) {
+  plan.newColumns.forEach(name => csvHeaders.push(name));
+  buildColIndices(csvHeaders);
+  state.csvHeaders = csvHeaders;
+
+  function setValues(row, name, values) {
+    findColIndices(csvHeaders, name).forEach((idx, i) => setCell(row, idx, i < values.length ? values[i] : ''));
+  }
+  const sprints = [];
+  const collectSprints = values => (values['Sprint'] || []).forEach(name => sprints.push(name));
+  plan.additions.forEach(a => collectSprints(a.values));
+  plan.updates.concat(overwrite ? plan.conflicts : []).forEach(u => {
+    u.changes.forEach(c => { if (c.column === 'Sprint') sprints.push(...c.to); });
+  });
+  registerSprintNames(sprints);
+
+  const added = plan.additions.map(a => {
+    const row = new Array(csvHeaders.length).fill('');
+    Object.keys(a.values).forEach(name => setValues(row, name, a.values[name]));
+    setCell(row, colIndices.issueKey, a.key);
+    setCell(row, colIndices.issueId, a.id);
+    const issue = csvRowToIssue(row);
+    state.issues.push(issue);
+    return issue;
+  });
+  added.forEach(issue => {
+    resolveDeps(issue, issue.dependsOn, state.issues);
+    resolveParent(issue, issue.parentId, state.issues);
+  });
+
+  plan.updates.concat(overwrite ? plan.conflicts : []).forEach(u => {
+    const issue = state.issues.find(i => i.id === u.id);
+    if (!issue.rawRow) issue.rawRow = new Array(csvHeaders.length).fill('');
+    u.changes.forEach(c => setValues(issue.rawRow, c.column, c.to));
+    syncIssueFromRow(state, issue, new Set(u.changes.map(c => c.column)));
+  });
+  state.sprintNames = { ...sprintNames };
+  state.nextId = state.issues.reduce((m, i) => Math.max(m, i.id), 0) + 1;
+}
+
+// What the preview shows: cell lists joined for display
+function describeImportPlan(format, plan) {
+  const describe = item => ({
+    key: item.key,
+    title: item.title,
+    changes: item.changes.map(c => ({ column: c.column, from: c.from.join(', '), to: c.to.join(', ') })),
+  });
+  return {
+    format: format,
+    newColumns: [...new Set(plan.newColumns)],
+    additions: plan.additions.map(a => ({ key: a.key, title: a.title })),
+    updates: plan.updates.map(describe),
+    conflicts: plan.conflicts.map(describe),
+    unchanged: plan.unchanged,
+  };
+}
+
+// --- Backup API (list and restore the copies in backups/) ---
+
+// users.conf is left out: restoring it could bring back removed accounts or
+// old passwords, so that is done by hand on the server
+function backedUpFiles() {
+  return [project.tasksFile, project.configFile, project.teamFile];
+}
+
+// Puts a backup in place of its file, after backing up what it replaces
+function restoreBackup(name) {
+  const file = backedUpFiles().find(f => listBackups(f).some(b => b.name === name));
+  if (!file) throw new ApiError(404, 'No such backup: ' + name);
+  const text = fs.readFileSync(path.join(backupDir(file), name), 'utf8');
+  let problem = null;
+  if (file === project.tasksFile) {
+    problem = tasksCSVProblem(parseCSV(text));
+  } else {
+    try {
+      JSON.parse(text);
+    } catch (e) {
+      problem = e.message;
+    }
+  }
+  if (problem) throw new ApiError(422, name + ' cannot be restored: ' + problem);
+
+  let before = null;
+  if (file === project.tasksFile) {
+    try {
+      before = readTasks().issues;
+    } catch (e) {
+      // The file being replaced is damaged; there is nothing to compare with
+    }
+  }
+  backUp(file, true);
+  writeFileAtomic(file, text);
+  knownRevisions[file] = revisionOf(text);
+
+  if (file === project.tasksFile) {
+    const state = readTasks();
+    // Logged like any other change, so Undo takes the restore back
+    if (before) recordHistory(diffIssues(before, state.issues), new Date());
+    broadcast('tasks', { state: state });
+  } else if (file === project.configFile) {
+    broadcast('config', { config: readConfig() });
+  } else {
+    broadcast('team', { team: readTeamConfig(), revision: readTeamRevision() });
+  }
+  return path.basename(file);
+}
+
+function handleBackupsApi(req, res, pathname) {
+  if (pathname === '/api/backups' && req.method === 'GET') {
+    const backups = [].concat(...backedUpFiles().map(listBackups));
+    backups.sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+    sendJSON(res, 200, { backups: backups });
+  } else if (pathname === '/api/backups/restore' && req.method === 'POST') {
+    readJSONBody(req, res, body => {
+      sendJSON(res, 200, { ok: true, file: restoreBackup(String(body.name || '')) });
+    });
+  } else {
+    sendJSON(res, 405, { error: 'Method not allowed' });
+  }
+}
+
+// --- Accounts, sessions and roles (users.conf) ---
+
+// users.conf is written by the Users dialog (or /api/users):
+//   { "users": [ { "login": "ann", "name": "Ann", "role": "admin", "password": "scrypt:<salt>:<hash>" } ] }
+// Viewers may only read. Members also edit issues, sprints and work logs.
+// Admins also edit team.conf, server.conf (field layout, workflow, saved
+// filters) and the accounts. Without users.conf anyone may do anything.
+
+const ROLES = ['viewer', 'member', 'admin'];
+const SESSION_COOKIE = 'sb_session';
+const SESSION_DAYS = 14;
+const MIN_PASSWORD_LENGTH = 8;
+
+const sessions = new Map(); // token -> { login, expires }; in memory, so a restart logs everyone out
+let user = null; // account of the current request; null without users.conf
+let localAccess = false; // cli.js on the files themselves: whoever can edit those needs no account
+
+function allowLocalAccess() {
+  localAccess = true;
+}
+
+// Only a missing users.conf means "no accounts"; a damaged one would let anyone in
+function readUsers() {
+  const users = readJSONFile(USERS_FILE, { users: [] }).users;
+  if (!Array.isArray(users)) throw damagedFile(USERS_FILE, 'no "users" list');
+  return users;
+}
+
+function writeUsers(users) {
+  backUp(USERS_FILE);
+  writeFileAtomic(USERS_FILE, JSON.stringify({ users: users }, null, 2) + '\n', 0o600);
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return 'scrypt:' + salt + ':' + crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function checkPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  return crypto.timingSafeEqual(crypto.scryptSync(String(password), salt, expected.length), expected);
+}
+
+function publicUser(u) {
+  return { login: u.login, name: u.name || u.login, role: u.role };
+}
+
+function readCookie(req, name) {
+  const cookie = (req.headers.cookie || '').split(/;\s*/).find(c => c.startsWith(name + '='));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+function sessionUser(req, users) {
+  const token = readCookie(req, SESSION_COOKIE);
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  if (session.expires < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return users.find(u => u.login === session.login) || null;
+}
+
+// Returns the Set-Cookie header that logs `u` in
+function startSession(u) {
+  const token = crypto.randomBytes(24).toString('hex');
+  sessions.set(token, { login: u.login, expires: Date.now() + SESSION_DAYS * 86400000 });
+  return { 'Set-Cookie': SESSION_COOKIE + '=' + token + '; HttpOnly; SameSite=Strict; Path=/; Max-Age=' + SESSION_DAYS * 86400 };
+}
+
+function endSession(req) {
+  sessions.delete(readCookie(req, SESSION_COOKIE));
+  return { 'Set-Cookie': SESSION_COOKIE + '=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0' };
+}
+
+// Role an API request needs; null for logging in and out
+function requiredRole(method, pathname) {
+  if (['/api/session', '/api/login', '/api/logout'].includes(pathname)) return null;
+  if (pathname === '/api/users' || pathname.startsWith('/api/users/')) return null; // checked by handleUsersApi
+  if (method === 'PUT' && (pathname === '/api/team' || pathname === '/api/config')) return 'admin';
+  if (pathname === '/api/backups' || pathname.startsWith('/api/backups/')) return 'admin';
+  return method === 'GET' ? 'viewer' : 'member';
+}
+
+// Whether the current request may do what `role` may (always, without accounts)
+function userMay(role) {
+  return !user ? readUsers().length === 0 : ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Sets `user` for an API request and refuses it when that account may not make it
+function authorize(req, pathname) {
+  if (localAccess) return;
+  const users = readUsers();
+  user = users.length > 0 ? sessionUser(req, users) : null;
+  const role = requiredRole(req.method, pathname);
+  if (users.length === 0 || !role) return;
+  if (!user) throw new ApiError(401, 'Please log in');
+  if (!userMay(role)) {
+    throw new ApiError(403, role === 'admin' ? 'Only admins can change this' : 'Viewers cannot change the board');
+  }
+}
+
+function readAccount(body, users, existing) {
+  const account = { ...existing };
+  if (!existing) {
+    const login = String(body.login || '').trim();
+    if (!/^[\w.@-]+$/.test(login)) throw new ApiError(422, 'login may only use letters, digits and . _ @ -');
+    if (users.some(u => u.login === login)) throw new ApiError(409, 'There is already an account ' + login);
+    account.login = login;
+  }
+  if (body.name !== undefined || !existing) account.name = String(body.name || '').trim() || account.login;
+  if (body.role !== undefined || !existing) {
+    if (!ROLES.includes(body.role)) throw new ApiError(422, 'role must be one of: ' + ROLES.join(', '));
+    account.role = body.role;
+  }
+  if (body.password !== undefined || !existing) {
+    if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+      throw new ApiError(422, 'password must have at least ' + MIN_PASSWORD_LENGTH + ' characters');
+    }
+    account.password = hashPassword(body.password);
+  }
+  return account;
+}
+
+function assertAdminLeft(users) {
+  if (!users.some(u => u.role === 'admin')) throw new ApiError(409, 'There must be at least one admin');
+}
+
+// Admins manage all accounts; everyone may change their own name and password.
+// While there are no accounts, anyone may create the first one, which is an admin.
+function handleUsersApi(req, res, pathname) {
+  const parts = pathname.split('/').filter(Boolean); // ['api', 'users', ':login']
+  const login = parts[2] && decodeURIComponent(parts[2]);
+  const users = readUsers();
+  const first = users.length === 0;
+  const self = !!user && user.login === login;
+
+  if (!first && !user) {
+    sendJSON(res, 401, { error: 'Please log in' });
+    return;
+  }
+  if (!userMay('admin') && !(self && req.method === 'PATCH')) {
+    sendJSON(res, 403, { error: 'Only admins can manage accounts' });
+    return;
+  }
+
+  if (!login) {
+    if (req.method === 'GET') {
+      sendJSON(res, 200, { users: users.map(publicUser) });
+    } else if (req.method === 'POST') {
+      readJSONBody(req, res, body => {
+        const account = readAccount(first ? { ...body, role: 'admin' } : body, users, null);
+        writeUsers(users.concat([account]));
+        // Whoever creates the first account is logged in with it
+        sendJSON(res, 201, { user: publicUser(account) }, first ? startSession(account) : {});
+      });
+    } else {
+      sendJSON(res, 405, { error: 'Method not allowed' });
+    }
+    return;
+  }
+
+  const index = users.findIndex(u => u.login === login);
+  if (index === -1) {
+    sendJSON(res, 404, { error: 'No such account: ' + login });
+    return;
+  }
+
+  if (req.method === 'PATCH') {
+    readJSONBody(req, res, body => {
+      if (body.role !== undefined && !userMay('admin')) throw new ApiError(403, 'Only admins can change roles');
+      const updated = users.slice();
+      updated[index] = readAccount(body, users, users[index]);
+      assertAdminLeft(updated);
+      writeUsers(updated);
+      sendJSON(res, 200, { user: publicUser(updated[index]) });
+    });
+  } else if (req.method === 'DELETE') {
+    const remaining = users.filter(u => u.login !== login);
+    if (!remaining.some(u => u.role === 'admin')) {
+      sendJSON(res, 409, { error: 'There must be at least one admin' });
+      return;
+    }
+    writeUsers(remaining);
+    sendJSON(res, 200, { ok: true });
+  } else {
+    sendJSON(res, 405, { error: 'Method not allowed' });
+  }
+}
+
+function handleSessionApi(req, res, pathname) {
+  if (pathname === '/api/session' && req.method === 'GET') {
+    sendJSON(res, 200, { user: user ? publicUser(user) : null, accounts: readUsers().length > 0 });
+  } else if (pathname === '/api/login' && req.method === 'POST') {
+    readJSONBody(req, res, body => {
+      const account = readUsers().find(u => u.login === String(body.login || '').trim());
+      if (!account || !checkPassword(body.password, account.password)) {
+        throw new ApiError(401, 'Wrong login or password');
+      }
+      sendJSON(res, 200, { user: publicUser(account) }, startSession(account));
+    });
+  } else if (pathname === '/api/logout' && req.method === 'POST') {
+    sendJSON(res, 200, { ok: true }, endSession(req));
+  } else {
+    sendJSON(res, 405, { error: 'Method not allowed' });
+  }
+}
+
+// --- HTTP Server ---
+
+function handleRequest(req, res) {
+  let url = new URL(req.url, 'http://localhost');
+
+  // /api/projects/:key/... is the API of one project; plain /api/... that of the first
+  useProject(projects[0]);
+  const scoped = /^\/api\/projects\/([^/]+)(\/.*)$/.exec(url.pathname);
+  if (scoped) {
+    const selected = findProject(decodeURIComponent(scoped[1]));
+    if (!selected) {
+      sendJSON(res, 404, { error: 'No such project: ' + decodeURIComponent(scoped[1]) });
+      return;
+    }
+    useProject(selected);
+    req.url = '/api' + scoped[2] + url.search;
+    url = new URL(req.url, 'http://localhost');
+  }
+
+  if (req.method === 'GET' && (req.url === '/' || req.url === '/index.html')) {
+    fs.readFile(INDEX_FILE, (err, data) => {
+      if (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Error reading index.html');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(data);
+    });
+    return;
+  }
+
+  const script = { '/replan.js': REPLAN_FILE, '/fields.js': FIELDS_FILE, '/query.js': QUERY_FILE,
+    '/calendar.js': CALENDAR_FILE }[req.url];
+  if (req.method === 'GET' && script) {
+    fs.readFile(script, (err, data) => {
+      if (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Error reading ' + path.basename(script));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/javascript' });
+      res.end(data);
+    });
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    try {
+      authorize(req, url.pathname);
+    } catch (e) {
+      sendJSON(res, e.status, { error: e.message, ...e.details });
+      return;
+    }
+  }
+
+  if (['/api/session', '/api/login', '/api/logout'].includes(url.pathname)) {
+    handleSessionApi(req, res, url.pathname);
+    return;
+  }
+
+  if (url.pathname === '/api/users' || url.pathname.startsWith('/api/users/')) {
+    handleUsersApi(req, res, url.pathname);
+    return;
+  }
+
+  if (url.pathname === '/api/backups' || url.pathname.startsWith('/api/backups/')) {
+    handleBackupsApi(req, res, url.pathname);
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/projects') {
+    sendJSON(res, 200, { projects: projects.map(projectInfo) });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/projects/dependencies') {
+    sendJSON(res, 200, crossProjectDependencies());
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/api/tasks') {
+    const state = readTasks();
+    sendJSON(res, 200, state, etag(state.revision));
+    return;
+  }
+
+  if (req.method === 'PUT' && req.url === '/api/tasks') {
+    readJSONBody(req, res, state => {
+      // Writes based on a stale revision would silently drop other editors' changes
+      const current = readTasks();
+      const expected = req.headers['if-match'] ? ifMatchRevision(req) : state.revision;
+      if (expected && expected !== current.revision) {
+        throw new ApiError(409, 'The board was changed by someone else', { state: current });
+      }
+      if (!Array.isArray(state.issues)) throw new ApiError(422, 'issues must be an array');
+      assertNoNewCycles(current.issues, state.issues);
+      writeTasks(state);
+      const updated = readTasks();
+      broadcast('tasks', { state: updated });
+      sendJSON(res, 200, { ok: true, revision: updated.revision }, etag(updated.revision));
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/api/config') {
+    const config = readConfig();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(config));
+    return;
+  }
+
+  if (req.method === 'PUT' && req.url === '/api/config') {
+    readJSONBody(req, res, config => {
+      writeConfig(config);
+      broadcast('config', { config: config });
+      sendJSON(res, 200, { ok: true });
+    });
+    return;
+  }
+
+  // Saved filters belong to everyone who edits the board, not only to admins like the rest of server.conf
+  if (req.method === 'PUT' && req.url === '/api/config/savedFilters') {
+    readJSONBody(req, res, body => {
+      const filters = body.savedFilters;
+      if (!Array.isArray(filters) || !filters.every(f => f && typeof f.name === 'string' && f.name.trim() &&
+          typeof f.query === 'string' && f.query.trim())) {
+        throw new ApiError(422, 'savedFilters must be a list of { name, query }');
+      }
+      const config = readConfig();
+      config.savedFilters = filters.map(f => ({ name: f.name.trim(), query: f.query.trim() }));
+      writeConfig(config);
+      broadcast('config', { config: config });
+      sendJSON(res, 200, { savedFilters: config.savedFilters });
+    });
+    return;
+  }
+
+  // Preview by default; { apply: true } imports, { overwrite: true } also takes conflicting changes
+  if (req.method === 'POST' && req.url === '/api/import') {
+    readJSONBody(req, res, body => {
+      if (typeof body.content !== 'string' || !body.content.trim()) {
+        throw new ApiError(422, 'content must be the text of a CSV, JSON or XML export');
+      }
+      const format = body.format || detectImportFormat(body.content, body.filename);
+      if (!['csv', 'json', 'xml'].includes(format)) throw new ApiError(422, 'format must be csv, json or xml');
+      const state = readTasks();
+      const plan = planImport(state, importTable(format, body.content));
+      const result = describeImportPlan(format, plan);
+      if (!body.apply) {
+        sendJSON(res, 200, { ...result, applied: false });
+        return;
+      }
+      const before = cloneIssues(state.issues);
+      applyImport(state, plan, !!body.overwrite);
+      assertNoNewCycles(before, state.issues);
+      writeTasks(state);
+      const updated = readTasks();
+      broadcast('tasks', { state: updated });
+      sendJSON(res, 200, { ...result, applied: true, revision: updated.revision }, etag(updated.revision));
+    });
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/api/validation') {
+    sendJSON(res, 200, Replan.validate(readTasks().issues));
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/api/reports') {
+    sendJSON(res, 200, { sprints: sprintReports(readTasks(), readTeamConfig(), new Date()) });
+    return;
+  }
+
+  const reportExport = /^\/api\/reports\/(\d+)\.(md|html)$/.exec(url.pathname);
+  if (req.method === 'GET' && reportExport) {
+    const state = readTasks();
+    const sprint = parseInt(reportExport[1], 10);
+    const lastSprint = Math.max(1, ...Object.keys(state.sprints).map(Number), ...state.issues.map(i => i.sprint || 1));
+    if (sprint < 1 || sprint > lastSprint) {
+      sendJSON(res, 404, { error: 'No such sprint: ' + reportExport[1] });
+      return;
+    }
+    const summary = sprintSummary(state, readTeamConfig(), sprint);
+    const markdown = reportExport[2] === 'md';
+    const filename = summary.name.replace(/[^\w.-]+/g, '-') + '.' + reportExport[2];
+    res.writeHead(200, {
+      'Content-Type': (markdown ? 'text/markdown' : 'text/html') + '; charset=utf-8',
+      'Content-Disposition': (url.searchParams.has('download') ? 'attachment' : 'inline') + '; filename="' + filename + '"',
+    });
+    res.end(markdown ? sprintMarkdown(summary) : sprintHtml(summary));
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/sprints.ics') {
+    res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8' });
+    res.end(sprintCalendar(readTasks(), new Date()));
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/history') {
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 100, 1), 1000);
+    const entries = loadHistory().slice(-limit).map(({ issue, ...entry }) => entry).reverse();
+    sendJSON(res, 200, { entries: entries, ...historyStatus() });
+    return;
+  }
+
+  if (req.method === 'POST' && (req.url === '/api/undo' || req.url === '/api/redo')) {
+    try {
+      if (req.url === '/api/undo') undo(); else redo();
+    } catch (e) {
+      if (!(e instanceof ApiError)) throw e;
+      sendJSON(res, e.status, { error: e.message, ...historyStatus() });
+      return;
+    }
+    const updated = readTasks();
+    broadcast('tasks', { state: updated });
+    sendJSON(res, 200, { ok: true, revision: updated.revision, ...historyStatus() });
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/api/events') {
+    handleEvents(req, res);
+    return;
+  }
 
   if (req.method === 'GET' && req.url === '/api/team') {
     const team = readTeamConfig();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(team));
+    sendJSON(res, 200, team, etag(readTeamRevision()));
     return;
   }
 
   if (req.method === 'PUT' && req.url === '/api/team') {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
-      try {
-        const team = JSON.parse(body);
-        writeTeamConfig(team);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
-      } catch (e) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+    readJSONBody(req, res, team => {
+      const expected = ifMatchRevision(req);
+      if (expected && expected !== readTeamRevision()) {
+        throw new ApiError(409, 'Team capacity was changed by someone else', {
+          team: readTeamConfig(),
+          revision: readTeamRevision(),
+        });
       }
+      writeTeamConfig(team);
+      const revision = readTeamRevision();
+      broadcast('team', { team: team, revision: revision });
+      sendJSON(res, 200, { ok: true, revision: revision }, etag(revision));
     });
     return;
   }
 
+  if (url.pathname === '/api/sprints' || url.pathname.startsWith('/api/sprints/')) {
+    handleSprintsApi(req, res, url.pathname);
+    return;
+  }
+
+  if (url.pathname === '/api/issues' || url.pathname.startsWith('/api/issues/')) {
+    handleIssuesApi(req, res, url.pathname, url.searchParams);
+    return;
+  }
+
   res.writeHead(404, { 'Content-Type': 'text/plain' });
   res.end('Not found');
+}
+
+// Errors outside readJSONBody(), e.g. a damaged tasks.csv, answer the request instead of stopping the server
+const server = http.createServer((req, res) => {
+  try {
+    handleRequest(req, res);
+  } catch (e) {
+    if (res.headersSent) {
+      console.error(e);
+      res.end();
+    } else if (!(e instanceof ApiError)) {
+      console.error(e);
+      sendJSON(res, 500, { error: 'Internal error' });
+    } else {
+      sendJSON(res, e.status, { error: e.message, ...e.details });
+    }
+  }
 });
 
 // --- Initialize team.conf from CSV assignees on startup ---
@@ -495,11 +3308,12 @@ function initTeamConfig() {
   if (!teamConfig.sprints) teamConfig.sprints = {};
   const defaultHours = teamConfig.defaultHours || 60;
 
-  // For each sprint, ensure all assignees are present
+  // For each sprint, ensure all assignees are present (members on the calendar need no hours here)
   for (const sprintNum of sprintNums) {
     const key = String(sprintNum);
     if (!teamConfig.sprints[key]) teamConfig.sprints[key] = {};
     for (const name of members) {
+      if (Calendar.weeklyHoursOf(teamConfig, name) !== null) continue;
       if (teamConfig.sprints[key][name] == null) {
         teamConfig.sprints[key][name] = defaultHours;
       }
@@ -509,8 +3323,37 @@ function initTeamConfig() {
   writeTeamConfig(teamConfig);
 }
 
-initTeamConfig();
-
-server.listen(PORT, () => {
-  console.log(`Sprint Board server running at http://localhost:${PORT}`);
+// A damaged file is reported here and on every request until it is restored, but the server still starts
+projects.forEach(p => {
+  useProject(p);
+  try {
+    if (!p.key) p.key = readTasks().projectKey;
+  } catch (e) {
+    console.error(e.message);
+  }
 });
+useProject(projects[0]);
+
+// cli.js loads this file to work on the CSV without a running server (see README)
+if (require.main === module) {
+  projects.forEach(p => {
+    useProject(p);
+    try {
+      initTeamConfig();
+    } catch (e) {
+      // Already reported above
+    }
+
+    watchForExternalChanges(p.tasksFile, () => broadcast('tasks', { state: readTasks() }));
+    watchForExternalChanges(p.teamFile, () => broadcast('team', { team: readTeamConfig(), revision: readTeamRevision() }));
+    watchForExternalChanges(p.configFile, () => broadcast('config', { config: readConfig() }));
+  });
+  useProject(projects[0]);
+
+  server.listen(PORT, () => {
+    console.log(`Sprint Board server running at http://localhost:${PORT}`);
+    if (projects.length > 1) console.log('Projects: ' + projects.map(p => p.key).join(', '));
+  });
+}
+
+module.exports = { server, allowLocalAccess };